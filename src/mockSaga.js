@@ -1,46 +1,256 @@
+import fs from 'fs'
+import path from 'path'
 import _ from 'lodash'
+import { runSaga, stdChannel, delay, CANCEL } from 'redux-saga'
+import { delay as delayEffect } from 'redux-saga/effects'
 
 const GeneratorFunction = function*() {}.constructor
 
-export function mockSaga (saga) {
-  if (Array.isArray(saga)) return mockArray(saga)
-  if (saga instanceof GeneratorFunction || saga.next) return mockGenerator(saga)
+/**
+ * Mocks a saga.
+ * @param saga generator function, generator object or array of generators
+ * @param options
+ * @param options.strict if true the calls not replaced by a stub throw an error into the saga
+ * @param options.allow functions, or function names, that can be called in strict mode without a stub
+ * @param options.fakeTime if true the delays run on a virtual clock advanced by tick() and runAllTimers()
+ * @returns the mocked saga
+ */
+export function mockSaga (saga, options = {}) {
+  if (Array.isArray(saga)) return mockArray(saga, options)
+  if (saga instanceof GeneratorFunction || saga.next) return mockGenerator(saga, options)
   throw new Error('saga must be a generator object, a generator function or an array')
 }
 
-const isPUT = (effect) => _.isObject(effect) && effect['@@redux-saga/IO'] && effect.PUT
-const isTAKE = (effect) => _.isObject(effect) && effect['@@redux-saga/IO'] && effect.TAKE
-const isCALL = (effect) => _.isObject(effect) && effect['@@redux-saga/IO'] && effect.CALL
-const isRACE = (effect) => _.isObject(effect) && effect['@@redux-saga/IO'] && effect.RACE
-const isFORK = (effect) => _.isObject(effect) && effect['@@redux-saga/IO'] && effect.FORK
+const IO = '@@redux-saga/IO'
+
+const isIO = (effect) => _.isObject(effect) && !!effect[IO]
+
+// redux-saga 0.x effects are shaped as { [IO]: true, CALL: {...} } while 1.x effects are shaped as
+// { [IO]: true, type: 'CALL', payload: {...} }. The format is detected on every single effect.
+const isV1Effect = (effect) => isIO(effect) && _.isString(effect.type) && _.has(effect, 'payload')
+
+function effectType (effect) {
+  if (!isIO(effect)) return undefined
+  if (isV1Effect(effect)) return effect.type
+  return _.find(_.keys(effect), key => key !== IO)
+}
+
+// the lifecycle events of the mocked generators are recorded in the log like effects:
+// { [LIFECYCLE]: true, type: 'done' | 'error' | 'cancelled', origin, result, error }
+const LIFECYCLE = '@@redux-saga-mock/LIFECYCLE'
+
+const isLifecycle = (effect) => _.isObject(effect) && effect[LIFECYCLE] === true
+
+const createLifecycle = (type, origin, { result, error } = {}) => ({ [LIFECYCLE]: true, type, origin, result, error })
+
+const payloadKey = (effect) => isV1Effect(effect) ? 'payload' : effectType(effect)
+
+const getPayload = (effect) => effect[payloadKey(effect)]
+
+const withPayload = (effect, payload) => Object.assign({}, effect, { [payloadKey(effect)]: payload })
+
+function setPayloadField (effect, field, value) {
+  const cloned = _.cloneDeep(effect)
+  return _.set(cloned, [payloadKey(effect), field], value)
+}
+
+// creates a new effect using the same format of the given effect
+const createEffectLike = (effect, type, payload) => isV1Effect(effect)
+  ? { [IO]: true, combinator: false, type, payload }
+  : { [IO]: true, [type]: payload }
+
+const isEffectOfType = (type) => (effect) => effectType(effect) === type && getPayload(effect)
+
+const isPUT = isEffectOfType('PUT')
+const isTAKE = isEffectOfType('TAKE')
+const isCALL = isEffectOfType('CALL')
+const isRACE = isEffectOfType('RACE')
+const isALL = isEffectOfType('ALL')
+const isFORK = isEffectOfType('FORK')
+const isSELECT = isEffectOfType('SELECT')
+const isCPS = isEffectOfType('CPS')
+const isJOIN = isEffectOfType('JOIN')
+const isCANCEL = isEffectOfType('CANCEL')
+const isCANCELLED = isEffectOfType('CANCELLED')
+
+const ARG_MATCHER = '@@redux-saga-mock/argMatcher'
+
+const isArgMatcher = (value) => !!value && value[ARG_MATCHER] === true
+
+/**
+ * Creates an argument matcher, it can be used in place of a value in the arguments of the calls and in the actions.
+ * @param description used to describe the matcher in the messages
+ * @param test receives the value and the customizer of the comparison, to compare nested values, returns true when
+ * the value matches
+ * @param capture if present it is called with the matching value and the compared object (arguments or action)
+ */
+function createArgMatcher (description, test, capture) {
+  return { [ARG_MATCHER]: true, description, test, capture, toJSON: () => description }
+}
+
+const primitiveTypes = new Map([ [ String, 'string' ], [ Number, 'number' ], [ Boolean, 'boolean' ],
+  [ Function, 'function' ], [ Symbol, 'symbol' ] ])
+
+/**
+ * Matches any value of the given type: a value created by the constructor or a primitive of the same type.
+ */
+export const any = (type) => createArgMatcher(`any(${describeValue(type)})`,
+  value => (value !== null && value !== undefined && typeof value === primitiveTypes.get(type)) ||
+    value instanceof type)
+
+/**
+ * Matches any value except null and undefined.
+ */
+export const anything = () => createArgMatcher('anything()', value => value !== null && value !== undefined)
+
+/**
+ * Matches the objects containing the properties of the given object, the properties can be argument matchers.
+ */
+export const objectContaining = (object) => createArgMatcher(`objectContaining(${describeValue(object)})`,
+  (value, customizer) => _.isObject(value) && _.isMatchWith(value, object, customizer))
+
+/**
+ * Creates a captor: an argument matcher recording the matching values, the values matched more times by the same
+ * effect are recorded once.
+ * @param matcher optional argument matcher, only the values it matches are captured
+ * @returns the captor, its values property contains the captured values and the value property the last one
+ */
+export function captor (matcher) {
+  const captured = []
+  const c = createArgMatcher(
+    matcher ? `captor(${matcher.description})` : 'captor()',
+    (value, customizer) => !matcher || matcher.test(value, customizer),
+    (value, source) => {
+      if (!_.some(captured, entry => entry.source === source && entry.value === value)) captured.push({ source, value })
+    }
+  )
+  return Object.defineProperties(c, {
+    values: { get: () => captured.map(entry => entry.value) },
+    value: { get: () => captured.length > 0 ? _.last(captured).value : undefined }
+  })
+}
+
+/**
+ * Compares the actual value with the expected one using compare (_.isMatchWith or _.isEqualWith), the argument
+ * matchers inside the expected value are applied and the captors record the values only if the comparison succeeds.
+ */
+function matchWith (compare, actual, expected) {
+  const captures = []
+  const customizer = (a, b) => {
+    const [ value, argMatcher ] = isArgMatcher(b) ? [ a, b ] : isArgMatcher(a) ? [ b, a ] : []
+    if (!argMatcher) return undefined
+    const matched = !!argMatcher.test(value, customizer)
+    if (matched && argMatcher.capture) captures.push(() => argMatcher.capture(value, actual))
+    return matched
+  }
+  const matched = compare(actual, expected, customizer)
+  if (matched) captures.forEach(capture => capture())
+  return matched
+}
+
+// compares an action type with a type or a regular expression
+const matchType = (type, expected) => _.isRegExp(expected) ? _.isString(type) && expected.test(type) : type === expected
+
+/**
+ * Checks if a take of the pattern receives the action, like the middleware does: the pattern can be '*', a type,
+ * a predicate function, an action creator with its own toString() or an array of them.
+ */
+function patternAccepts (pattern, action) {
+  if (pattern === '*') return true
+  if (_.isArray(pattern)) return _.some(pattern, p => patternAccepts(p, action))
+  if (_.isFunction(pattern)) {
+    if (_.has(pattern, 'toString')) return String(pattern) === action.type
+    try {
+      return !!pattern(action)
+    } catch (e) {
+      return false
+    }
+  }
+  return pattern !== undefined && pattern === action.type
+}
+
+// an action type, a symbol included, or an action object
+const isActionLike = (value) => _.isString(value) || _.isSymbol(value) || (_.isPlainObject(value) && _.has(value, 'type'))
 
-export const matchers = {
-  putAction: (action) => _.isString(action)
-    ? effect => isPUT(effect) && effect.PUT.action.type === action
-    : effect => isPUT(effect) && _.isEqual(effect.PUT.action, action),
+const isLifecycleOf = (effect, type, fnOrName) => isLifecycle(effect) && effect.type === type &&
+  (fnOrName === undefined || isOriginOf(effect.origin, fnOrName))
+
+export const matchers = describeMatchers({
+  putAction: (action) => _.isString(action) || _.isRegExp(action)
+    ? effect => isPUT(effect) && matchType(getPayload(effect).action.type, action)
+    : effect => isPUT(effect) && matchWith(_.isEqualWith, getPayload(effect).action, action),
+  putActionMatching: (partial = {}) => {
+    // a regular expression type is tested apart, the other properties are compared partially
+    const typeRegExp = _.isRegExp(partial.type) ? partial.type : undefined
+    const expected = typeRegExp ? _.omit(partial, 'type') : partial
+    return effect => isPUT(effect) && (!typeRegExp || matchType(getPayload(effect).action.type, typeRegExp)) &&
+      matchWith(_.isMatchWith, getPayload(effect).action, expected)
+  },
+  // matches the takes of the same pattern and the takes receiving the action (or an action of the type)
   takeAction: pattern =>
-    effect => isTAKE(effect) && effect.TAKE.pattern === pattern,
+    effect => isTAKE(effect) && (getPayload(effect).pattern === pattern || (isActionLike(pattern) &&
+      patternAccepts(getPayload(effect).pattern, _.isPlainObject(pattern) ? pattern : { type: pattern }))),
   effect: effectToMatch =>
     effect => _.isEqual(effect, effectToMatch),
   call: _.memoize((fn) =>
-    effect => isCALL(effect) && effect.CALL.fn === fn),
+    effect => isCALL(effect) && getPayload(effect).fn === fn),
   callWithArgs: (fn, args) =>
-    effect => isCALL(effect) && effect.CALL.fn === fn && _.isMatch(effect.CALL.args, args),
+    effect => isCALL(effect) && getPayload(effect).fn === fn && matchWith(_.isMatchWith, getPayload(effect).args, args),
   callWithExactArgs: (fn, args) =>
-    effect => isCALL(effect) && effect.CALL.fn === fn && _.isEqual(effect.CALL.args, args),
+    effect => isCALL(effect) && getPayload(effect).fn === fn && matchWith(_.isEqualWith, getPayload(effect).args, args),
+  select: (selector, args) =>
+    effect => isSELECT(effect) && getPayload(effect).selector === selector &&
+      (args === undefined || _.isEqual(getPayload(effect).args, args)),
+  fork: (fn) =>
+    effect => isFORK(effect) && !getPayload(effect).detached && (fn === undefined || getPayload(effect).fn === fn),
+  spawn: (fn) =>
+    effect => isFORK(effect) && !!getPayload(effect).detached && (fn === undefined || getPayload(effect).fn === fn),
+  join: (task) =>
+    effect => isJOIN(effect) && (task === undefined || getPayload(effect) === task),
+  cancel: (task) =>
+    effect => isCANCEL(effect) && (task === undefined || getPayload(effect) === task),
+  cancelled: () =>
+    effect => !!isCANCELLED(effect),
+  unstubbedCall: (allow = []) =>
+    effect => (isCALL(effect) || isCPS(effect)) && !isStubFunction(getPayload(effect).fn) &&
+      !(getPayload(effect).fn instanceof GeneratorFunction) &&
+      !_.some(allow, a => a === getPayload(effect).fn || a === getPayload(effect).fn.name),
   forkGeneratorFn: () =>
-    effect => isFORK(effect) && effect.FORK.fn instanceof GeneratorFunction,
+    effect => isFORK(effect) && getPayload(effect).fn instanceof GeneratorFunction,
   callGeneratorFn: () =>
-    effect => isCALL(effect) && effect.CALL.fn instanceof GeneratorFunction,
+    effect => isCALL(effect) && getPayload(effect).fn instanceof GeneratorFunction,
+  // lifecycle events of the saga identified by its generator function or name, of any saga if not specified
+  sagaDone: (fnOrName) =>
+    effect => isLifecycleOf(effect, 'done', fnOrName),
+  sagaError: (fnOrName) =>
+    effect => isLifecycleOf(effect, 'error', fnOrName),
+  sagaCancelled: (fnOrName) =>
+    effect => isLifecycleOf(effect, 'cancelled', fnOrName),
+  delayCall: () =>
+    effect => isCALL(effect) && isDelayFunction(getPayload(effect).fn),
+  and: (...matchersToCombine) =>
+    effect => _.every(matchersToCombine, m => m(effect)),
+  or: (...matchersToCombine) =>
+    effect => _.some(matchersToCombine, m => m(effect)),
+  not: (matcher) =>
+    effect => !matcher(effect),
   array: () =>
-    effect => _.isArray(effect)
+    effect => _.isArray(effect),
+  all: () =>
+    effect => !!isALL(effect)
+})
+
+// the matchers are described like the call creating them, e.g. call(fetchUser), in the messages of verify()
+function describeMatchers (factories) {
+  return _.mapValues(factories, (factory, name) => (...args) =>
+    Object.assign(factory(...args), { description: describeCall(name, args) }))
 }
 
 function recursive (matcher) {
   const rmatcher = (effect) => {
     if (matcher(effect)) return true
-    else if (isRACE(effect)) {
-      return !!_.find(effect.RACE, rmatcher)
+    else if (isRACE(effect) || isALL(effect)) {
+      return !!_.find(getPayload(effect), rmatcher)
     } else if (_.isArray(effect)) {
       return !!effect.find(rmatcher)
     }
@@ -49,12 +259,21 @@ function recursive (matcher) {
   return rmatcher
 }
 
+// returns the first effect matching the matcher, searching also inside race and parallel effects
+function findNested (matcher, effect) {
+  if (matcher(effect)) return effect
+  const nested = isRACE(effect) || isALL(effect) ? _.values(getPayload(effect)) : _.isArray(effect) ? effect : []
+  return _.reduce(nested, (found, e) => found || findNested(matcher, e), undefined)
+}
+
 function rreplace (matcher, effect, replEffCreator) {
   if (matcher(effect)) return replEffCreator(effect)
   else if (isRACE(effect)) {
-    return Object.assign({}, effect, {
-      RACE: _.mapValues(effect.RACE, (e) => rreplace(matcher, e, replEffCreator))
-    })
+    return withPayload(effect, _.mapValues(getPayload(effect), (e) => rreplace(matcher, e, replEffCreator)))
+  } else if (isALL(effect)) {
+    const payload = getPayload(effect)
+    const replace = (e) => rreplace(matcher, e, replEffCreator)
+    return withPayload(effect, _.isArray(payload) ? _.map(payload, replace) : _.mapValues(payload, replace))
   } else if (_.isArray(effect)) {
     return _.map(effect, (e) => rreplace(matcher, e, replEffCreator))
   }
@@ -69,6 +288,18 @@ function findAllIndexes (array, matcher, fromPos = 0, last = (array.length - 1))
   return indexes
 }
 
+const waitForMethodNames = [
+  'waitForEffect',
+  'waitForTakeAction',
+  'waitForPutAction',
+  'waitForCall',
+  'waitForCallWithArgs',
+  'waitForCallWithExactArgs',
+  'waitForSelect',
+  'waitForMatch',
+  'waitForFork'
+]
+
 const chainableMethods = [
   'onEffect',
   'onTakeAction',
@@ -76,19 +307,48 @@ const chainableMethods = [
   'onCall',
   'onCallWithArgs',
   'onCallWithExactArgs',
+  'onSelect',
+  'onMatch',
+  'onFork',
   'onYieldEffect',
   'onYieldTakeAction',
   'onYieldPutAction',
   'onYieldCall',
   'onYieldCallWithArgs',
   'onYieldCallWithExactArgs',
+  'onYieldSelect',
+  'onYieldMatch',
+  'onYieldFork',
+  'onDone',
+  'onError',
+  'onCancel',
   'stubCall',
   'stubCallWithArgs',
   'stubCallWithExactArgs',
+  'stubSelect',
+  'stubTake',
+  'stubTakeSequence',
+  'stubPut',
+  'stubMatch',
+  'stubFork',
+  'resolveEffect',
+  'rejectEffect',
+  'throwOn',
+  'throwOnPutAction',
+  'throwOnTake',
+  'throwOnSelect',
   'resetStubs',
-  'clearStoredEffects'
+  'clearStoredEffects',
+  'clearListeners'
 ]
 
+// number of arguments of the stubCall methods returning a sequenced stub
+const callStubArity = {
+  stubCall: 1,
+  stubCallWithArgs: 2,
+  stubCallWithExactArgs: 2
+}
+
 function isSaga (saga) {
   return Array.isArray(saga) || saga instanceof GeneratorFunction || !!saga.next
 }
@@ -96,29 +356,135 @@ function isSaga (saga) {
 /**
  * Mocks an array of sagas. Every element must be a generator.
  * @param sagas
+ * @param options see mockSaga()
  * @returns {array}
  */
-function mockArray (sagas) {
+function mockArray (sagas, options) {
   if (!Array.isArray(sagas)) throw new Error('sagas must be an array')
   if (sagas.length === 0) return sagas
 
-  const mockedArray = sagas.map(s => mockSaga(s))
+  const mockedArray = sagas.map(s => mockSaga(s, options))
+  // the options of a listener method follow the callback, the last function argument
+  const listenerOptionsOf = (args) => {
+    const pos = _.findLastIndex(args, _.isFunction)
+    return pos !== -1 && _.isPlainObject(args[pos + 1]) ? args[pos + 1] : {}
+  }
+  // adds the listener to all sagas, the once and times options limit the calls of the callback by all of them
+  const listenAll = (name, args) => {
+    const listenerOptions = listenerOptionsOf(args)
+    const times = listenerOptions.once ? 1 : listenerOptions.times
+    if (times === undefined) return mockedArray.map(m => m[name](...args))
+    const pos = _.findLastIndex(args, _.isFunction)
+    const callback = args[pos]
+    let calls = 0
+    const limited = (...callbackArgs) => {
+      if (++calls >= times) handles.forEach(h => h.off())
+      return callback(...callbackArgs)
+    }
+    const memberOptions = _.assign(_.omit(listenerOptions, 'once', 'times'), { handle: true })
+    const handles = mockedArray.map(m => m[name](...args.slice(0, pos), limited, memberOptions))
+    return handles
+  }
   chainableMethods.forEach(name => {
     Object.defineProperty(mockedArray, name, {
       configurable: false,
       enumerable: false,
       writable: false,
       value: (...args) => {
-        if (args.length > 1 && _.isFunction(args[args.length - 1])) {
-          mockedArray.forEach(s => s[name](...args))
-          return mockedArray
-        } else {
-          return Promise.race(mockedArray.map(s => s[name](...args)))
+        if (args.length === callStubArity[name]) {
+          // the same sequenced stub is shared by all sagas
+          const callStub = createCallStub()
+          mockedArray.forEach(s => s[name](...args, callStub))
+          return callStub
         }
+        const isListener = _.startsWith(name, 'on')
+        const results = isListener ? listenAll(name, args) : mockedArray.map(s => s[name](...args))
+        // listeners called without a callback return a promise, it can be removed from all sagas
+        if (_.isFunction(results[0].then)) {
+          return Object.assign(Promise.race(results), { off: () => results.forEach(r => r.off()) })
+        }
+        return isListener && listenerOptionsOf(args).handle ? combineHandles(results) : mockedArray
+      }
+    })
+  })
+  const expectations = []
+  const verify = () => {
+    const problemsOf = (mock) => {
+      try {
+        mock.verify()
+        return []
+      } catch (error) {
+        if (!error.problems) throw error
+        return error.problems
+      }
+    }
+    // a stub or a listener is reported only if it is unused by all sagas
+    const problems = _.intersection(...mockedArray.map(problemsOf)).concat(
+      _.compact(expectations.map(e => e.check(_.sumBy(mockedArray, m => m.query().where(e.match).count))))
+    )
+    if (problems.length > 0) throw createVerifyError(problems)
+    return mockedArray
+  }
+  // the clocks of the sagas are advanced together
+  const tick = (ms) => Promise.all(mockedArray.map(m => m.tick(ms))).then(_.head)
+  const runAllTimers = () => Promise.all(mockedArray.map(m => m.runAllTimers())).then(_.max)
+  // the handle removes the listener from all sagas
+  const listen = (...args) => combineHandles(listenAll('listen', args))
+  // the effect can be produced by any saga, the promise is rejected when all the sagas fail
+  const waitForMethods = _.fromPairs(waitForMethodNames.map(name => [ name, (...args) => new Promise((resolve, reject) => {
+    const errors = []
+    mockedArray.forEach(m => m[name](...args).then(resolve, error => {
+      errors.push(error)
+      if (errors.length === mockedArray.length) {
+        reject(new Error(`${name} failed on all the sagas:\n${errors.map(e => e.message).join('\n')}`))
       }
+    }))
+  }) ]))
+  // the matching effects of every saga of the result are rendered apart
+  const formatArrayEntries = (entries, indexes, matcher) => indexes.length === 0 ? 'no effects' : indexes
+    .map(idx => {
+      const query = matcher ? mockedArray[idx].query().where(matcher) : mockedArray[idx].query()
+      return `saga ${idx + 1}:\n${query.toString().replace(/^/gm, '  ')}`
     })
+    .join('\n')
+  const printEffects = () => {
+    const timeline = formatArrayEntries(mockedArray, _.range(mockedArray.length))
+    console.log(timeline)
+    return timeline
+  }
+  const serializeEffects = () => JSON.stringify(mockedArray.map(m => JSON.parse(m.serializeEffects())), null, 2)
+  const matchesSnapshot = (file, options) => {
+    matchSnapshot(serializeEffects(), file, options)
+    return mockedArray
+  }
+  const pending = () => _.flatMap(mockedArray, m => m.pending())
+  const describeArrayState = () => mockedArray
+    .map((m, idx) => `saga ${idx + 1}:\n${m.describeState().replace(/^/gm, '  ')}`)
+    .join('\n')
+  const methods = Object.assign(createExpectationMethods(expectations), waitForMethods, {
+    verify,
+    tick,
+    runAllTimers,
+    listen,
+    printEffects,
+    serializeEffects,
+    matchesSnapshot,
+    pending,
+    describeState: describeArrayState
   })
-  const queryMethods = createQueryMethods(() => mockedArray.map(m => m.query().effects))
+  _.forEach(methods, (fn, name) => {
+    Object.defineProperty(mockedArray, name, {
+      configurable: false,
+      enumerable: false,
+      writable: false,
+      value: fn
+    })
+  })
+  // every entry holds the effects of a saga, they come from different generators so the entries have no origin
+  const queryMethods = createQueryMethods(() => mockedArray.map(m => {
+    const query = m.query()
+    return { effect: query.effects, result: query.results, error: query.errors, status: query.statuses }
+  }), null, formatArrayEntries)
   _.forEach(queryMethods, (fn, name) => {
     Object.defineProperty(mockedArray, name, {
       configurable: false,
@@ -130,61 +496,896 @@ function mockArray (sagas) {
   return mockedArray
 }
 
-function createGenerator (saga, effects, listenersPre, listenersPost, stubs) {
+/**
+ * Creates a generator function proxying the saga.
+ * @param saga generator function or generator object
+ * @param context state shared by the mocked saga and all its mocked sub-generators: the log of the effects with their
+ * results, the listeners, the stubs and the resolvers, the running generators and the termination of the mocked saga
+ * @param parent origin of the generator yielding the effect that runs the saga, undefined for the mocked saga
+ * @param options.manual true if the saga is driven by hand: the builtin stubs, running the sub-sagas, the strict mode
+ * and the fake time, are not applied
+ * @param options.detached true if the saga is spawned, its termination does not delay the one of the mocked saga
+ * @returns {function}
+ */
+function createGenerator (saga, context, parent, { manual = false, detached = false } = {}) {
+  const { log, listenersPre, listenersPost, lifecycleListeners, stubs, resolvers, running } = context
   return function * mockedGenerator (...args) {
-    if (saga instanceof GeneratorFunction) {
-      saga = saga(...args)
+    const origin = createOrigin(saga, context, parent, detached)
+    const iterator = saga instanceof GeneratorFunction ? saga(...args) : saga
+    // proxies the effects of the saga until it terminates, returns the value returned by the saga
+    const proxy = function * (current) {
+      while (!current.done) {
+        const effect = current.value
+        // stubbed is true when the effect is replaced by a stub or resolved by a resolver, see formatEntries()
+        const entry = { effect, result: undefined, error: undefined, status: 'pending', origin, stubbed: false }
+        log.push(entry)
+        // a copy, the callbacks can remove their listener
+        listenersPre.slice().forEach((l) => recursive(l.match)(effect) && l.callback(effect))
+        let data
+        // a resolver with nth is applied only to the nth effect it matches
+        const resolver = _.find(resolvers, r => r.match(effect) && (r.nth === undefined || ++r.matched === r.nth))
+        if (resolver) {
+          resolver.used = true
+          entry.stubbed = true
+          // the effect is not submitted to the middleware
+          if (resolver.rejected) {
+            current = rejectEntry(entry, iterator, resolver.error)
+            continue
+          }
+          data = resolver.value
+        } else {
+          // the effects created by the user stubs are not replaced by the strict mode stub
+          const covered = new Set()
+          const applied = manual ? stubs.filter(stub => stub.description) : stubs
+          const stubbedEffect = applied.reduce((seffect, stub) => rreplace(stub.match, seffect, e => {
+            if (stub.stubCreator.strict && covered.has(e)) return e
+            const replacement = stub.stubCreator(e, origin)
+            // a stub returning the same effect leaves it to the middleware, e.g. an exhausted take sequence
+            if (replacement !== e) {
+              stub.used = true
+              // the builtin stubs, without description, are not reported
+              if (stub.description) {
+                entry.stubbed = true
+                covered.add(replacement)
+              }
+            }
+            return replacement
+          }), effect)
+          let resumed = false
+          try {
+            running.set(origin, entry)
+            data = yield stubbedEffect
+            resumed = true
+          } catch (error) {
+            resumed = true
+            current = rejectEntry(entry, iterator, error)
+            continue
+          } finally {
+            // not resumed when the generator is cancelled
+            if (!resumed) entry.status = 'cancelled'
+            running.set(origin, undefined)
+          }
+        }
+        Object.assign(entry, { result: data, status: 'resolved' })
+        listenersPost.slice().forEach((l) => recursive(l.match)(effect) && l.callback({effect, data}))
+        current = iterator.next(data)
+      }
+      return current.value
     }
-    let current = saga.next()
-    while (!current.done) {
-      const effect = current.value
-      // console.log('>> effect:', effect)
-      effects.push(effect)
-      listenersPre.forEach((l) => recursive(l.match)(effect) && l.callback(effect))
-      const stubbedEffect = stubs.reduce((seffect, stub) => rreplace(stub.match, seffect, stub.stubCreator), effect)
-      // if (stubbedEffect !== effect) console.log('>>>> stubbed effect:', stubbedEffect)
-      try {
-        const data = yield stubbedEffect
-        listenersPost.forEach((l) => recursive(l.match)(effect) && l.callback({effect, data}))
-        current = saga.next(data)
-      } catch (error) {
-        current = saga.throw(error)
+    const terminate = (termination) => {
+      running.delete(origin)
+      const { result, error } = termination
+      const type = termination.cancelled ? 'cancelled' : _.has(termination, 'error') ? 'error' : 'done'
+      const event = createLifecycle(type, origin, termination)
+      const status = { done: 'resolved', error: 'rejected', cancelled: 'cancelled' }[type]
+      log.push({ effect: event, result, error, status, origin })
+      lifecycleListeners.slice().forEach(l => l.match(event) && l.callback(event))
+      notifyTermination(context, origin, termination)
+    }
+    if (!parent) context.termination = undefined
+    running.set(origin, undefined)
+    let completed = false
+    try {
+      const result = yield * proxy(iterator.next())
+      completed = true
+      terminate({ result })
+      return result
+    } catch (error) {
+      completed = true
+      terminate({ error })
+      throw error
+    } finally {
+      // the mocked generator is cancelled, the cancellation is forwarded to the saga to run its finally blocks
+      if (!completed) {
+        yield * proxy(iterator.return())
+        terminate({ cancelled: true })
       }
     }
-    return current.value
   }
 }
 
+const rootOf = (origin) => origin.parent ? rootOf(origin.parent) : origin
+
+// true if the termination of the generator is awaited by the root, like a forked task by its parent
+const isAttachedTo = (origin, root) => origin === root || (!origin.detached && !!origin.parent &&
+  isAttachedTo(origin.parent, root))
+
+/**
+ * Notifies the termination of the mocked saga, not the one of its sub-sagas. Like a redux-saga task, the mocked saga
+ * terminates when it throws or is cancelled, or when it returns and all its attached sub-sagas (the called and forked
+ * ones, not the spawned ones) are terminated.
+ */
+function notifyTermination (context, origin, termination) {
+  const { returnedRoots, running } = context
+  const root = rootOf(origin)
+  let rootTermination
+  if (origin === root) {
+    if (termination.cancelled || _.has(termination, 'error')) rootTermination = termination
+    else returnedRoots.set(root, termination)
+  }
+  if (!rootTermination && returnedRoots.has(root) && !Array.from(running.keys()).some(o => isAttachedTo(o, root))) {
+    rootTermination = returnedRoots.get(root)
+  }
+  if (!rootTermination) return
+  returnedRoots.delete(root)
+  context.termination = rootTermination
+  context.terminationListeners.slice().forEach(listener => listener(rootTermination))
+}
+
+/**
+ * Describes a run of a mocked generator, every entry of the log references the origin of its effect.
+ * @returns {{id: number, name: string, depth: number, parentId: number, fn: function, parent: object,
+ * detached: boolean}}
+ */
+function createOrigin (saga, context, parent, detached = false) {
+  const fn = saga instanceof GeneratorFunction ? saga : undefined
+  return {
+    id: context.lastOriginId++,
+    name: fn ? fn.name : undefined,
+    depth: parent ? parent.depth + 1 : 0,
+    parentId: parent ? parent.id : undefined,
+    fn,
+    parent,
+    detached
+  }
+}
+
+function rejectEntry (entry, iterator, error) {
+  Object.assign(entry, { error, status: 'rejected' })
+  return iterator.throw(error)
+}
+
+/**
+ * Creates a stub function whose behaviour can be programmed for every invocation, e.g.
+ * createCallStub().returnsOnce(a).throwsOnce(err).returns(b). The "once" behaviours are used in order, then the
+ * default behaviour is used.
+ * @returns {function}
+ */
+function createCallStub () {
+  const queue = []
+  let defaultBehaviour = _.noop
+  const callStub = function (...args) {
+    callStub.calls.push(args)
+    const behaviour = queue.length > 0 ? queue.shift() : defaultBehaviour
+    return behaviour(...args)
+  }
+  const returning = value => () => value
+  const throwing = error => () => { throw error }
+  Object.defineProperty(callStub, 'callCount', { get: () => callStub.calls.length })
+  return Object.assign(callStub, {
+    calls: [],
+    returns: (value) => { defaultBehaviour = returning(value); return callStub },
+    returnsOnce: (value) => { queue.push(returning(value)); return callStub },
+    throws: (error) => { defaultBehaviour = throwing(error); return callStub },
+    throwsOnce: (error) => { queue.push(throwing(error)); return callStub },
+    callsFake: (fn) => { defaultBehaviour = fn; return callStub },
+    callsFakeOnce: (fn) => { queue.push(fn); return callStub }
+  })
+}
+
+// functions installed by the stubs, in strict mode the calls to these functions are allowed
+const stubFunctions = new WeakSet()
+
+const isStubFunction = (fn) => _.isFunction(fn) && stubFunctions.has(fn)
+
+// delay() of redux-saga 0.x and the function called by the delay effect of redux-saga 1.x
+const isDelayFunction = (fn) => _.isFunction(fn) &&
+  (fn === delay || (_.isFunction(delayEffect) && fn === getPayload(delayEffect(0)).fn))
+
 function stubCallCreator (newTargetFn) {
-  return effect => {
-    let cloned = _.cloneDeep(effect)
-    return _.set(cloned, 'CALL.fn', newTargetFn)
+  if (_.isFunction(newTargetFn)) stubFunctions.add(newTargetFn)
+  return effect => setPayloadField(effect, 'fn', newTargetFn)
+}
+
+// replaces an effect with a call to fn, the value returned by fn is the result of the effect
+const callEffectLike = (effect, fn, args = []) => {
+  stubFunctions.add(fn)
+  return createEffectLike(effect, 'CALL', { context: null, fn, args })
+}
+
+function describeValue (value) {
+  if (isArgMatcher(value)) return value.description
+  if (_.isFunction(value)) return value.description || value.name || 'anonymous function'
+  if (value instanceof Error) return `${value.name}(${JSON.stringify(value.message)})`
+  if (value && _.isFunction(value.then)) return 'promise'
+  try {
+    return JSON.stringify(value)
+  } catch (e) {
+    return String(value)
   }
 }
 
+function stubStrictCreator () {
+  const creator = effect => {
+    const { fn, args } = getPayload(effect)
+    const error = new Error(`strict mode: the ${effectType(effect).toLowerCase()} to ${describeValue(fn)}(` +
+      `${_.map(args, describeValue).join(', ')}) is not stubbed`)
+    return callEffectLike(effect, () => { throw error })
+  }
+  // the strict stub skips the effects replaced by the user stubs, see createGenerator()
+  return Object.assign(creator, { strict: true })
+}
+
+function stubSelectCreator (valueOrFn) {
+  const getValue = _.isFunction(valueOrFn) ? valueOrFn : () => valueOrFn
+  return effect => callEffectLike(effect, getValue, getPayload(effect).args)
+}
+
+function stubPutCreator (replacement) {
+  if (_.isNil(replacement)) {
+    return effect => callEffectLike(effect, _.identity, [getPayload(effect).action])
+  }
+  if (_.isArray(replacement) || _.isFunction(replacement)) {
+    const sink = _.isArray(replacement) ? (action) => replacement.push(action) : replacement
+    return effect => callEffectLike(effect, (action) => { sink(action); return action }, [getPayload(effect).action])
+  }
+  // an action type is put as an action without payload
+  const action = _.isString(replacement) ? { type: replacement } : replacement
+  if (!_.isPlainObject(action)) throw new Error('the replacement of a put must be an action, a type, an array or a function')
+  return effect => setPayloadField(effect, 'action', action)
+}
+
+function stubTakeCreator (actionOrFactory) {
+  const getAction = _.isFunction(actionOrFactory) ? actionOrFactory : () => actionOrFactory
+  return effect => callEffectLike(effect, getAction, [getPayload(effect).pattern])
+}
+
+function stubTakeSequenceCreator (actions) {
+  if (!_.isArray(actions)) throw new Error('actions must be an array')
+  const queue = actions.slice()
+  // when all actions are consumed the take is left to the middleware
+  return effect => queue.length > 0 ? callEffectLike(effect, _.constant(queue.shift())) : effect
+}
+
 const addListener = (target, listeners, callback, matcher, ...args) => {
   let retval
+  const listener = { match: matcher(...args), callback }
   if (callback) {
     retval = target
   } else {
+    // the listener is pending until the first matching effect, see verify()
+    listener.pending = true
     retval = new Promise((resolve, reject) => {
-      callback = _.once((effect) => resolve(effect))
+      listener.callback = _.once((effect) => {
+        listener.pending = false
+        resolve(effect)
+      })
     })
+    // removes the listener, the promise is never resolved
+    retval.off = () => _.pull(listeners, listener)
   }
-  listeners.push({ match: matcher(...args), callback })
+  listeners.push(listener)
   return retval
 }
 
-function mockGenerator (saga) {
+/**
+ * Removes the listener after it is called the given number of times.
+ */
+function limitListener (listeners, listener, times) {
+  const callback = listener.callback
+  let calls = 0
+  listener.callback = (...args) => {
+    if (++calls >= times) _.pull(listeners, listener)
+    return callback(...args)
+  }
+}
+
+/**
+ * Creates the handle of a listener with a callback: it removes the listener and counts its calls.
+ */
+function createListenerHandle (listeners, listener) {
+  const callback = listener.callback
+  let callCount = 0
+  listener.callback = (...args) => {
+    callCount++
+    return callback(...args)
+  }
+  return {
+    off: () => { _.pull(listeners, listener) },
+    get callCount () {
+      return callCount
+    },
+    get active () {
+      return _.includes(listeners, listener)
+    }
+  }
+}
+
+// a single handle controlling the listeners of the sagas of an array
+const combineHandles = (handles) => ({
+  off: () => handles.forEach(h => h.off()),
+  get callCount () {
+    return _.sumBy(handles, 'callCount')
+  },
+  get active () {
+    return _.some(handles, 'active')
+  }
+})
+
+const describeCall = (name, args) => `${name}(${_.map(args, describeValue).join(', ')})`
+
+/**
+ * Creates an expectation on the number of effects matching the matcher, checked by verify().
+ * By default the effect is expected at least once.
+ */
+function createExpectation (match, description) {
+  let test = count => count > 0
+  let expected = 'at least once'
+  const expect = (newTest, newExpected) => {
+    test = newTest
+    expected = newExpected
+    return expectation
+  }
+  const expectation = {
+    match,
+    times: n => expect(count => count === n, `${n} times`),
+    atLeast: n => expect(count => count >= n, `at least ${n} times`),
+    atMost: n => expect(count => count <= n, `at most ${n} times`),
+    never: () => expect(count => count === 0, 'never'),
+    // returns the description of the failure, undefined if the expectation is met
+    check: count => test(count) ? undefined : `${description} expected ${expected}, found ${count}`
+  }
+  return expectation
+}
+
+function createExpectationMethods (expectations) {
+  const add = (name, match, ...args) => {
+    const expectation = createExpectation(match, describeCall(name, args))
+    expectations.push(expectation)
+    return expectation
+  }
+  return {
+    expectCall: (fn) => add('expectCall', matchers.call(fn), fn),
+    expectCallWithArgs: (fn, args) => add('expectCallWithArgs', matchers.callWithArgs(fn, args), fn, args),
+    expectPutAction: (action) => add('expectPutAction', matchers.putAction(action), action),
+    expectMatch: (predicate) => add('expectMatch', predicate, predicate)
+  }
+}
+
+function createVerifyError (problems) {
+  const error = new Error(['saga verification failed:'].concat(problems.map(p => `  - ${p}`)).join('\n'))
+  error.problems = problems
+  return error
+}
+
+/**
+ * Creates a driver running a mocked generator by hand, like a generator in the manual tests of redux-saga.
+ * The effects are returned after the stubs are applied, the effects resolved by the resolvers are skipped.
+ * @param iterator mocked generator object
+ */
+function createDriver (iterator) {
+  let current
+  const step = (resume) => {
+    try {
+      current = resume()
+    } catch (error) {
+      // the error is not handled by the saga
+      current = { done: true, value: undefined }
+      throw error
+    }
+    return current.done ? undefined : current.value
+  }
+  return {
+    // returns the current effect, the first call starts the saga
+    next: () => current ? (current.done ? undefined : current.value) : step(() => iterator.next()),
+    // the resume methods return the next effect, undefined when the saga is terminated
+    resolve: (value) => step(() => current ? iterator.next(value) : iterator.next()),
+    throw: (error) => step(() => iterator.throw(error)),
+    cancel: () => step(() => iterator.return()),
+    get done () {
+      return !!current && current.done
+    },
+    get result () {
+      return current && current.done ? current.value : undefined
+    }
+  }
+}
+
+// maximum number of timers fired by a single advance of the clock
+const MAX_TIMERS = 1000
+
+/**
+ * Creates a virtual clock, its delays are promises resolved when the clock is advanced past their time.
+ * The timers are fired in order and the pending promise callbacks run before the next timer.
+ */
+function createClock () {
+  let now = 0
+  let sequence = 0
+  const timers = []
+  const flush = () => new Promise(resolve => setImmediate(resolve))
+
+  const delayFn = (ms, value = true) => {
+    const timer = { at: now + ms, sequence: sequence++ }
+    const promise = new Promise(resolve => { timer.fire = () => resolve(value) })
+    // the timer is removed when the effect is cancelled, eg. by a race
+    promise[CANCEL] = () => _.pull(timers, timer)
+    timers.push(timer)
+    return promise
+  }
+
+  const advance = (limit, fired = 0) => flush().then(() => {
+    const next = _.head(_.sortBy(timers, [ 'at', 'sequence' ]))
+    if (!next || next.at > limit) {
+      if (limit !== Infinity) now = limit
+      return now
+    }
+    if (fired >= MAX_TIMERS) throw new Error(`more than ${MAX_TIMERS} timers fired, the saga could loop forever`)
+    _.pull(timers, next)
+    now = next.at
+    next.fire()
+    return advance(limit, fired + 1)
+  })
+
+  return {
+    now: () => now,
+    delay: delayFn,
+    tick: (ms) => advance(now + ms),
+    runAllTimers: () => advance(Infinity)
+  }
+}
+
+/**
+ * Creates an in-memory store recording the dispatched actions and the state transitions.
+ * @param state initial state
+ * @param reducer
+ */
+function createFakeStore (state, reducer = s => s) {
+  const subscribers = []
+  const store = {
+    dispatched: [],
+    states: [state],
+    getState: () => _.last(store.states),
+    subscribe: (callback) => {
+      subscribers.push(callback)
+      return () => _.pull(subscribers, callback)
+    },
+    dispatch: (action) => {
+      store.dispatched.push(action)
+      store.states.push(reducer(store.getState(), action))
+      subscribers.slice().forEach(callback => callback(action))
+      return action
+    }
+  }
+  return store
+}
+
+/**
+ * Runs the iterator on the store with the runSaga() function of the installed redux-saga version.
+ * @returns {Promise} resolved with the value returned by the saga
+ */
+function runOnStore (iterator, store) {
+  // the errors of the saga reject the returned promise, they are not logged by redux-saga
+  if (stdChannel) {
+    // redux-saga 1.x
+    const channel = stdChannel()
+    store.subscribe(action => channel.put(action))
+    return runSaga({ channel, dispatch: store.dispatch, getState: store.getState, onError: _.noop }, () => iterator)
+      .toPromise()
+  }
+  return runSaga(iterator, {
+    subscribe: store.subscribe,
+    dispatch: store.dispatch,
+    getState: store.getState,
+    logger: _.noop
+  }).done
+}
+
+// milliseconds waited for an effect by the scenarios and the waitFor methods
+const DEFAULT_WAIT_TIMEOUT = 1000
+
+/**
+ * Describes an effect like the call creating it, e.g. put({"type":"ACTION"}) or call(fetchUser, 1).
+ */
+function describeEffect (effect) {
+  if (_.isArray(effect)) return `[${effect.map(describeEffect).join(', ')}]`
+  if (isLifecycle(effect)) {
+    const name = effect.origin.name || 'anonymous saga'
+    return `saga${_.upperFirst(effect.type)}(${name})`
+  }
+  if (!isIO(effect)) return describeValue(effect)
+  const type = effectType(effect)
+  const payload = getPayload(effect)
+  switch (type) {
+    case 'PUT':
+      return describeCall('put', [ payload.action ])
+    case 'TAKE':
+      return payload.pattern !== undefined ? describeCall('take', [ payload.pattern ]) : 'take(channel)'
+    case 'CALL':
+    case 'CPS':
+      return describeCall(type.toLowerCase(), [ payload.fn ].concat(payload.args))
+    case 'FORK':
+      return describeCall(payload.detached ? 'spawn' : 'fork', [ payload.fn ].concat(payload.args))
+    case 'SELECT':
+      return describeCall('select', [ payload.selector ].concat(payload.args))
+    case 'RACE':
+    case 'ALL':
+      return `${type.toLowerCase()}(${_.isArray(payload)
+        ? payload.map(describeEffect).join(', ')
+        : _.map(payload, (e, key) => `${key}: ${describeEffect(e)}`).join(', ')})`
+    case 'JOIN':
+    case 'CANCEL':
+      return `${type.toLowerCase()}(${_.isString(payload) ? '' : 'task'})`
+    case 'CANCELLED':
+      return 'cancelled()'
+    default:
+      return `${type.toLowerCase()}()`
+  }
+}
+
+// maximum length of the description of a result in the timeline
+const MAX_RESULT_LENGTH = 60
+
+function describeResult (entry) {
+  if (isFORK(entry.effect)) return 'task'
+  const description = String(describeValue(entry.result))
+  return description.length > MAX_RESULT_LENGTH ? `${description.slice(0, MAX_RESULT_LENGTH - 3)}...` : description
+}
+
+function describeOutcome (entry) {
+  switch (entry.status) {
+    case 'resolved': return ` -> ${describeResult(entry)}`
+    case 'rejected': return ` !! ${entry.error instanceof Error ? entry.error.message : describeValue(entry.error)}`
+    case 'pending':
+    case 'cancelled': return ` (${entry.status})`
+    default: return ''
+  }
+}
+
+// lines of an effect: the race and parallel effects list their nested effects in the following lines
+function formatEffect (effect, indent) {
+  const nested = (children, withKeys) => _.flatMap(_.toPairs(children), ([ key, child ]) => {
+    const [ first, ...others ] = formatEffect(child, indent + '  ')
+    return [ withKeys ? first.replace(/^(\s*)/, `$1${key}: `) : first ].concat(others)
+  })
+  if (isRACE(effect)) return [ `${indent}race` ].concat(nested(getPayload(effect), true))
+  if (isALL(effect)) return [ `${indent}all` ].concat(nested(getPayload(effect), !_.isArray(getPayload(effect))))
+  if (_.isArray(effect)) return [ `${indent}parallel` ].concat(nested(effect, false))
+  return [ `${indent}${describeEffect(effect)}` ]
+}
+
+/**
+ * Formats the log entries as a timeline, one effect per line numbered by position in the log. The effects of the
+ * sub-sagas are indented by depth and prefixed with the name of the saga, the nested effects of the race and
+ * parallel effects follow on their own lines. Every effect shows its result, or its error or status, and is marked
+ * with [stub] when replaced by a stub or resolved by a resolver, with [real] otherwise.
+ * @param entries log entries
+ * @param indexes positions of the entries in the log
+ */
+function formatEntries (entries, indexes) {
+  if (entries.length === 0) return 'no effects'
+  const width = String(_.max(indexes) + 1).length
+  return _.flatMap(entries, (entry, idx) => {
+    const origin = entry.origin
+    const prefix = origin && origin.depth > 0 ? `${origin.name || 'anonymous saga'}: ` : ''
+    const indent = _.repeat('  ', origin ? origin.depth : 0)
+    const lifecycle = isLifecycle(entry.effect)
+    const [ first, ...nested ] = lifecycle ? [ describeEffect(entry.effect) ] : formatEffect(entry.effect, '')
+    const outcome = lifecycle ? '' : describeOutcome(entry)
+    const number = `${_.padStart(String(indexes[idx] + 1), width)}. `
+    const numberIndent = _.repeat(' ', number.length)
+    const marker = lifecycle ? '' : entry.stubbed ? ' [stub]' : ' [real]'
+    return [ `${number}${indent}${prefix}${first}${outcome}${marker}` ]
+      .concat(nested.map(line => `${numberIndent}${indent}${_.repeat(' ', prefix.length)}${line}`))
+  }).join('\n')
+}
+
+const isChannel = (value) => _.isObject(value) && _.isFunction(value.take) && _.isFunction(value.close)
+const isTask = (value) => _.isObject(value) && value['@@redux-saga/TASK'] === true
+
+// plain copy of a value that can be converted to JSON: functions become their names, action creators their types,
+// the references to an enclosing object or array become <circular>
+function serializeValue (value, ancestors = []) {
+  if (isArgMatcher(value)) return value.description
+  if (_.isFunction(value)) return _.has(value, 'toString') ? String(value) : value.name || 'anonymous function'
+  if (isChannel(value)) return '<channel>'
+  if (isTask(value)) return '<task>'
+  if (value instanceof Error) return { error: value.message }
+  if (!_.isArray(value) && !_.isPlainObject(value)) return value
+  if (_.includes(ancestors, value)) return '<circular>'
+  const serialize = v => serializeValue(v, ancestors.concat([ value ]))
+  return _.isArray(value) ? value.map(serialize) : _.mapValues(value, serialize)
+}
+
+function serializeEffect (effect) {
+  if (_.isArray(effect)) return effect.map(serializeEffect)
+  if (isLifecycle(effect)) return { type: 'LIFECYCLE', event: effect.type }
+  if (!isIO(effect)) return serializeValue(effect)
+  const type = effectType(effect)
+  const payload = getPayload(effect)
+  switch (type) {
+    case 'PUT':
+      return _.assign({ type, action: serializeValue(payload.action) }, payload.channel && { channel: '<channel>' })
+    case 'TAKE':
+      return payload.channel
+        ? { type, channel: '<channel>' }
+        : { type, pattern: serializeValue(payload.pattern) }
+    case 'CALL':
+    case 'CPS':
+    case 'FORK':
+      return _.assign({ type, fn: serializeValue(payload.fn), args: serializeValue(payload.args) },
+        payload.detached && { detached: true })
+    case 'SELECT':
+      return { type, selector: '<selector>', args: serializeValue(payload.args) }
+    case 'RACE':
+    case 'ALL':
+      return { type, effects: _.isArray(payload) ? payload.map(serializeEffect) : _.mapValues(payload, serializeEffect) }
+    case 'JOIN':
+    case 'CANCEL':
+      return _.isString(payload) ? { type } : { type, task: '<task>' }
+    default:
+      return { type }
+  }
+}
+
+/**
+ * Converts the log entries to objects that can be stored as JSON and compared between runs: the function references
+ * are replaced by their names, the selectors, channels and tasks by placeholders and the ids of the sagas are omitted.
+ */
+function serializeEntries (entries) {
+  return entries.map(entry => _.assign(
+    { saga: entry.origin ? entry.origin.name || 'anonymous saga' : undefined },
+    entry.origin && { depth: entry.origin.depth },
+    { effect: serializeEffect(entry.effect), status: entry.status },
+    entry.status === 'resolved' && { result: isFORK(entry.effect) ? '<task>' : serializeValue(entry.result) },
+    entry.status === 'rejected' && { error: serializeValue(entry.error) },
+    entry.stubbed && { stubbed: true }
+  ))
+}
+
+// above this number of compared lines the differing lines are reported as a single block
+const MAX_DIFF_SIZE = 1000000
+
+/**
+ * Compares two arrays of lines, returns the hunks of different lines with the position of the first one in the
+ * expected lines. The longest common subsequence of lines is computed between the common head and tail.
+ */
+function diffLines (expected, actual) {
+  let head = 0
+  while (head < expected.length && head < actual.length && expected[head] === actual[head]) head++
+  let tail = 0
+  while (tail < expected.length - head && tail < actual.length - head &&
+    expected[expected.length - 1 - tail] === actual[actual.length - 1 - tail]) tail++
+  const exp = expected.slice(head, expected.length - tail)
+  const act = actual.slice(head, actual.length - tail)
+  if (exp.length * act.length > MAX_DIFF_SIZE) return [ { line: head, removed: exp, added: act } ]
+  // lengths[i][j] is the length of the common subsequence of exp from i and act from j
+  const lengths = _.range(exp.length + 1).map(() => new Array(act.length + 1).fill(0))
+  for (let i = exp.length - 1; i >= 0; i--) {
+    for (let j = act.length - 1; j >= 0; j--) {
+      lengths[i][j] = exp[i] === act[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  const hunks = []
+  let hunk
+  let i = 0
+  let j = 0
+  while (i < exp.length || j < act.length) {
+    if (i < exp.length && j < act.length && exp[i] === act[j]) {
+      hunk = undefined
+      i++
+      j++
+      continue
+    }
+    if (!hunk) {
+      hunk = { line: head + i, removed: [], added: [] }
+      hunks.push(hunk)
+    }
+    if (j === act.length || (i < exp.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      hunk.removed.push(exp[i++])
+    } else {
+      hunk.added.push(act[j++])
+    }
+  }
+  return hunks
+}
+
+/**
+ * Compares the serialized effects with the content of a snapshot file. The file is written when it does not exist,
+ * or when the update option is true, otherwise an error listing the different lines is thrown.
+ * @param serialized serialized effects
+ * @param file path of the snapshot file
+ * @param options.update if true the snapshot file is overwritten
+ */
+function matchSnapshot (serialized, file, { update = false } = {}) {
+  const content = `${serialized}\n`
+  if (update || !fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, content)
+    return
+  }
+  const snapshot = fs.readFileSync(file, 'utf8')
+  if (snapshot === content) return
+  const hunks = diffLines(snapshot.split('\n'), content.split('\n'))
+  const error = new Error([ `the effects do not match the snapshot ${file}:` ].concat(_.flatMap(hunks, hunk => [
+    `  line ${hunk.line + 1}:`
+  ].concat(
+    hunk.removed.map(line => `  - ${line}`),
+    hunk.added.map(line => `  + ${line}`)
+  ))).join('\n'))
+  // mocha shows the diff of the whole snapshot
+  Object.assign(error, { expected: snapshot, actual: content, showDiff: true })
+  throw error
+}
+
+/**
+ * Creates the error of a failed wait for an effect, the message lists the effects recorded so far and the effects
+ * blocking the saga: the effects still pending.
+ */
+function createWaitError (reason, context) {
+  const { log } = context
+  const recorded = log.map((entry, idx) => `  ${idx + 1}. ${describeEffect(entry.effect)} (${entry.status})`)
+  const blocking = getPending(context).map(entry => `  - ${describeEffect(entry.effect)}`)
+  const error = new Error([ reason, 'recorded effects:' ]
+    .concat(recorded.length > 0 ? recorded : [ '  none' ])
+    .concat('blocked on:', blocking.length > 0 ? blocking : [ '  nothing' ])
+    .join('\n'))
+  error.effects = log.map(entry => entry.effect)
+  error.blockingEffects = getPending(context).map(entry => entry.effect)
+  return error
+}
+
+// entries of the effects the running generators are waiting for, in order of start of the generators
+const getPending = (context) => _.compact(Array.from(context.running.values()))
+
+/**
+ * Describes the running generators, one per line indented by depth, with the effect they are waiting for.
+ */
+function describeState (context) {
+  if (context.running.size === 0) {
+    return context.termination ? describeTermination(context.termination) : 'the saga is not running'
+  }
+  return Array.from(context.running.entries()).map(([ origin, entry ]) => {
+    const name = `${_.repeat('  ', origin.depth)}${origin.name || 'anonymous saga'} (${origin.id})`
+    return entry ? `${name} waiting for ${describeEffect(entry.effect)}` : `${name} running`
+  }).join('\n')
+}
+
+const describeTermination = ({ error, cancelled }) => error !== undefined
+  ? `the saga threw ${error instanceof Error ? error.message : describeValue(error)}`
+  : cancelled ? 'the saga was cancelled' : 'the saga terminated'
+
+/**
+ * Waits for an effect matching the matcher. The promise is resolved with the effect and its index in the log, it is
+ * rejected when the timeout expires or when the mocked saga terminates before the effect. A mocked generator object
+ * already terminated rejects immediately.
+ * @param context context of the mocked saga
+ * @param matcher matcher of the effect
+ * @param options.fromPos if defined the effects in the log from this position are checked before waiting
+ * @param options.timeout milliseconds to wait
+ * @param options.description description of the wait, prefixed to the error message
+ */
+function waitForEffect (context, matcher, { fromPos, timeout = DEFAULT_WAIT_TIMEOUT, description } = {}) {
+  const { log, listenersPre, terminationListeners } = context
+  const fail = (reason) => createWaitError(description ? `${description} failed: ${reason}` : reason, context)
+  return new Promise((resolve, reject) => {
+    if (fromPos !== undefined) {
+      const found = findAllIndexes(log.map(entry => entry.effect), recursive(matcher), fromPos)
+      if (found.length > 0) return resolve({ effect: log[found[0]].effect, index: found[0] })
+    }
+    // the termination of a previous run of a generator function does not prevent the effect in the next run
+    if (context.termination && !context.restartable) return reject(fail(describeTermination(context.termination)))
+    const done = () => {
+      clearTimeout(timer)
+      _.pull(listenersPre, listener)
+      _.pull(terminationListeners, onTermination)
+    }
+    const listener = {
+      match: matcher,
+      callback: (effect) => {
+        done()
+        // the effect is the last entry of the log when the listeners are called
+        resolve({ effect, index: log.length - 1 })
+      }
+    }
+    const onTermination = (termination) => {
+      done()
+      reject(fail(describeTermination(termination)))
+    }
+    const timer = setTimeout(() => {
+      done()
+      reject(fail(`the effect did not happen within ${timeout}ms`))
+    }, timeout)
+    listenersPre.push(listener)
+    terminationListeners.push(onTermination)
+  })
+}
+
+/**
+ * Creates a scenario: a sequence of steps executed in order against the running mocked saga.
+ * The dispatch steps dispatch an action, the waitFor steps wait for an effect produced after the effect
+ * of the previous waitFor step (the first one from the start of the saga).
+ * @param context context of the mocked saga
+ * @param getDispatch returns the function used to dispatch the actions
+ * @param timeout milliseconds to wait for an effect before failing the scenario
+ */
+function createScenario (context, getDispatch, timeout = DEFAULT_WAIT_TIMEOUT) {
+  const steps = []
+  // position in the log after the effect of the last waitFor step
+  let position = 0
+
+  const waitFor = (matcher) => waitForEffect(context, matcher, { fromPos: position, timeout })
+    .then(({ effect, index }) => {
+      position = index + 1
+      return effect
+    })
+
+  const addStep = (name, args, execute) => {
+    steps.push({ description: describeCall(name, args), execute })
+    return scenario
+  }
+
+  const scenario = {
+    dispatch: (action) => addStep('dispatch', [action], () => getDispatch()(action)),
+    waitForEffect: (effect) => addStep('waitForEffect', [effect], () => waitFor(matchers.effect(effect))),
+    waitForPut: (action) => addStep('waitForPut', [action], () => waitFor(matchers.putAction(action))),
+    waitForTake: (pattern) => addStep('waitForTake', [pattern], () => waitFor(matchers.takeAction(pattern))),
+    waitForCall: (fn) => addStep('waitForCall', [fn], () => waitFor(matchers.call(fn))),
+    waitForMatch: (predicate) => addStep('waitForMatch', [predicate], () => waitFor(predicate)),
+    run: () => steps.reduce(
+      (promise, step, idx) => promise.then(() => Promise.resolve()
+        .then(step.execute)
+        .catch(error => {
+          error.message = `scenario failed at step ${idx + 1} ${step.description}: ${error.message}`
+          throw error
+        })),
+      Promise.resolve()
+    ).then(() => undefined)
+  }
+  return scenario
+}
+
+function mockGenerator (saga, options = {}) {
   if (!saga.next && !(saga instanceof GeneratorFunction)) throw new Error('invalid generator')
 
-  const effects = []
+  // entries of the log are { effect, result, error, status, origin }, status is 'pending', 'resolved' or 'rejected'
+  const log = []
   const stubs = []
   // listeners
   const lstPre = []
   const lstPost = []
+  const lstLifecycle = []
+  // effects resolved without the middleware
+  const resolvers = []
+  // the termination listeners are notified when the mocked saga returns, throws or is cancelled
+  const context = {
+    log,
+    listenersPre: lstPre,
+    listenersPost: lstPost,
+    lifecycleListeners: lstLifecycle,
+    terminationListeners: [],
+    termination: undefined,
+    // results of the mocked sagas returned while their attached sub-sagas are running, see notifyTermination()
+    returnedRoots: new Map(),
+    // a generator function can be run again after its termination, a generator object cannot
+    restartable: saga instanceof GeneratorFunction,
+    // origins of the running generators, with the entry of the effect they are waiting for
+    running: new Map(),
+    stubs,
+    resolvers,
+    lastOriginId: 0
+  }
 
-  const mockedGeneratorFn = createGenerator(saga, effects, lstPre, lstPost, stubs)
+  const mockedGeneratorFn = createGenerator(saga, context)
 
   const mockedGeneratorObj = mockedGeneratorFn()
 
@@ -194,7 +1395,7 @@ function mockGenerator (saga) {
 
   const createStub = (matcher, stubCreator) => {
     if (!_.isFunction(stubCreator)) throw new Error('stub function required')
-    const s = { match: matcher, stubCreator }
+    const s = { match: matcher, stubCreator, description, used: false }
     // FIXME replacement works only with stubCall because its matcher is memoized and in the other cases
     // the macher is created on every call
     const pos = _.findIndex(stubs, matcher)
@@ -206,102 +1407,343 @@ function mockGenerator (saga) {
     return retval
   }
 
-  const stubFork = (effect) => {
-    const cloned = _.cloneDeep(effect)
-    const mockedSubGenFn = createGenerator(effect.FORK.fn, effects, lstPre, lstPost, stubs)
-    return _.set(cloned, 'FORK.fn', mockedSubGenFn)
+  // description of the method call creating a stub or a listener, reported by verify()
+  let description
+  // with a callback and the handle option the listener handle is returned in place of the saga
+  const listen = (listeners, callback, options = {}, matcher, ...args) => {
+    const result = addListener(retval, listeners, callback, matcher, ...args)
+    const listener = _.last(listeners)
+    listener.description = description
+    const handle = callback && options.handle ? createListenerHandle(listeners, listener) : undefined
+    const times = options.once ? 1 : options.times
+    if (times !== undefined) limitListener(listeners, listener, times)
+    return handle || result
+  }
+
+  // the lifecycle listeners take an optional saga, generator function or name, by default the mocked saga
+  const listenLifecycle = (matcher, ...args) => {
+    const [ fnOrName, callback, options ] = args[0] instanceof GeneratorFunction || _.isString(args[0])
+      ? args
+      : [ undefined, ...args ]
+    const sagaMatcher = fnOrName === undefined
+      ? () => matchers.and(matcher(), event => !event.origin.parent)
+      : matcher
+    return listen(lstLifecycle, callback, options, sagaMatcher, fnOrName)
+  }
+
+  // adds a listener and returns a handle to remove it and to count its calls
+  const listenWithHandle = (matcher, callback, { once, times, resolved } = {}) => {
+    if (!_.isFunction(callback)) throw new Error('callback function required')
+    const listeners = resolved ? lstPost : lstPre
+    const handle = listen(listeners, callback, { once, times, handle: true }, _.identity, matcher)
+    _.last(listeners).description = describeCall('listen', [ matcher ])
+    return handle
+  }
+
+  const expectations = []
+
+  const verify = () => {
+    const effects = log.map(entry => entry.effect)
+    const problems = [].concat(
+      stubs.concat(resolvers).filter(s => s.description && !s.used).map(s => `unused stub: ${s.description}`),
+      lstPre.concat(lstPost, lstLifecycle).filter(l => l.pending).map(l => `pending listener: ${l.description}`),
+      _.compact(expectations.map(e => e.check(findAllIndexes(effects, recursive(e.match)).length)))
+    )
+    if (problems.length > 0) throw createVerifyError(problems)
+    return retval
   }
 
-  const stubCallGeneratorFn = (effect) => {
-    const cloned = _.cloneDeep(effect)
-    const mockedSubGenFn = createGenerator(effect.CALL.fn, effects, lstPre, lstPost, stubs)
-    return _.set(cloned, 'CALL.fn', mockedSubGenFn)
+  const createResolver = (matcher, resolver) => {
+    const match = _.isFunction(matcher) ? matcher : matchers.effect(matcher)
+    resolvers.unshift(Object.assign({ match, description, used: false }, resolver))
+    return retval
   }
 
-  const stubArray = (effect) => {
+  // without a stub function a sequenced stub is created and returned in place of the saga
+  const createCallStubFor = (matcher, stub) => {
+    if (stub !== undefined) return createStub(matcher, stubCallCreator(stub))
+    const callStub = createCallStub()
+    createStub(matcher, stubCallCreator(callStub))
+    return callStub
+  }
+
+  const stubForkGeneratorFn = (effect, origin) => {
+    const detached = !!getPayload(effect).detached
+    const mockedSubGenFn = createGenerator(getPayload(effect).fn, context, origin, { detached })
+    return setPayloadField(effect, 'fn', mockedSubGenFn)
+  }
+
+  const stubCallGeneratorFn = (effect, origin) => {
+    const mockedSubGenFn = createGenerator(getPayload(effect).fn, context, origin)
+    return setPayloadField(effect, 'fn', mockedSubGenFn)
+  }
+
+  const stubArray = (effect, origin) => {
     return effect.map(e => {
-      if (Array.isArray(e)) return stubArray(e)
-      if (e.next) return createGenerator(e, effects, lstPre, lstPost, stubs)()
-      if (e instanceof GeneratorFunction) return createGenerator(e, effects, lstPre, lstPost, stubs)
+      if (Array.isArray(e)) return stubArray(e, origin)
+      if (e.next) return createGenerator(e, context, origin)()
+      if (e instanceof GeneratorFunction) return createGenerator(e, context, origin)
       return e
     })
   }
 
-  createStub(matchers.forkGeneratorFn(), stubFork)
+  const stubAll = (effect, origin) => {
+    const payload = getPayload(effect)
+    return withPayload(effect, _.isArray(payload)
+      ? stubArray(payload, origin)
+      : _.zipObject(_.keys(payload), stubArray(_.values(payload), origin)))
+  }
+
+  if (options.strict) createStub(matchers.unstubbedCall(options.allow), stubStrictCreator())
+  createStub(matchers.forkGeneratorFn(), stubForkGeneratorFn)
   createStub(matchers.callGeneratorFn(), stubCallGeneratorFn)
   createStub(matchers.array(), stubArray)
+  createStub(matchers.all(), stubAll)
+  const clock = options.fakeTime ? createClock() : undefined
+  if (clock) {
+    createStub(matchers.delayCall(), effect => callEffectLike(effect, clock.delay, getPayload(effect).args))
+  }
+  const builtinStubsCount = stubs.length
 
   const chainableMethods = {
-    onEffect: (effect, callback) => addListener(retval, lstPre, callback, matchers.effect, effect),
-    onTakeAction: (pattern, callback) => addListener(retval, lstPre, callback, matchers.takeAction, pattern),
-    onPutAction: (action, callback) => addListener(retval, lstPre, callback, matchers.putAction, action),
-    onCall: (fn, callback) => addListener(retval, lstPre, callback, matchers.call, fn),
-    onCallWithArgs: (fn, args, callback) => addListener(retval, lstPre, callback, matchers.callWithArgs, fn, args),
-    onCallWithExactArgs: (fn, args, callback) => addListener(retval, lstPre, callback, matchers.callWithExactArgs, fn, args),
-
-    onYieldEffect: (effect, callback) => addListener(retval, lstPost, callback, matchers.effect, effect),
-    onYieldTakeAction: (pattern, callback) => addListener(retval, lstPost, callback, matchers.takeAction, pattern),
-    onYieldPutAction: (action, callback) => addListener(retval, lstPost, callback, matchers.putAction, action),
-    onYieldCall: (fn, callback) => addListener(retval, lstPost, callback, matchers.call, fn),
-    onYieldCallWithArgs: (fn, args, callback) => addListener(retval, lstPost, callback, matchers.callWithArgs, fn, args),
-    onYieldCallWithExactArgs: (fn, args, callback) => addListener(retval, lstPost, callback, matchers.callWithExactArgs, fn, args),
-
-    stubCall: (fn, stub) => createStub(matchers.call(fn), stubCallCreator(stub)),
-    stubCallWithArgs: (fn, args, stub) => createStub(matchers.callWithArgs(fn, args), stubCallCreator(stub)),
-    stubCallWithExactArgs: (fn, args, stub) => createStub(matchers.callWithExactArgs(fn, args), stubCallCreator(stub)),
-    resetStubs: () => { stubs.splice(stubs.length - 3, 3); return retval },  // last 3 stubs are for forks, calls to generator and arrays
-    clearStoredEffects: () => { effects.length = 0; return retval }
-  }
-
-  const queryMethods = createQueryMethods(effects)
-  return Object.assign(retval, queryMethods, chainableMethods)
-}
-
-function createQueryMethods (getEffects) {
-  if (Array.isArray(getEffects)) {
-    const effects = getEffects
-    getEffects = () => effects
-  }
-  const findEffect = (effect, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.effect(effect)), fromPos, last)
-  const findPuttedAction = (action, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.putAction(action)), fromPos, last)
-  const findTakenAction = (pattern, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.takeAction(pattern)), fromPos, last)
-  const findCall = (fn, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.call(fn)), fromPos, last)
-  const findCallWithArgs = (fn, args, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.callWithArgs(fn, args)), fromPos, last)
-  const findCallWithExactArgs = (fn, args, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(matchers.callWithExactArgs(fn, args)), fromPos, last)
-
-  const createOrderedQueries = (from, last) => ({
-    effect: effect => createResult(findEffect(effect, from, last)),
-    putAction: action => createResult(findPuttedAction(action, from, last)),
-    takeAction: pattern => createResult(findTakenAction(pattern, from, last)),
-    call: fn => createResult(findCall(fn, from, last)),
-    callWithArgs: (fn, ...args) => createResult(findCallWithArgs(fn, args, from, last)),
-    callWithExactArgs: (fn, ...args) => createResult(findCallWithExactArgs(fn, args, from, last))
+    onEffect: (effect, callback, options) => listen(lstPre, callback, options, matchers.effect, effect),
+    onTakeAction: (pattern, callback, options) => listen(lstPre, callback, options, matchers.takeAction, pattern),
+    onPutAction: (action, callback, options) => listen(lstPre, callback, options, matchers.putAction, action),
+    onCall: (fn, callback, options) => listen(lstPre, callback, options, matchers.call, fn),
+    onCallWithArgs: (fn, args, callback, options) => listen(lstPre, callback, options, matchers.callWithArgs, fn, args),
+    onCallWithExactArgs: (fn, args, callback, options) => listen(lstPre, callback, options, matchers.callWithExactArgs, fn, args),
+    onSelect: (selector, callback, options) => listen(lstPre, callback, options, matchers.select, selector),
+    onMatch: (predicate, callback, options) => listen(lstPre, callback, options, _.identity, predicate),
+    onFork: (fn, callback, options) => listen(lstPre, callback, options, matchers.fork, fn),
+
+    onYieldEffect: (effect, callback, options) => listen(lstPost, callback, options, matchers.effect, effect),
+    onYieldTakeAction: (pattern, callback, options) => listen(lstPost, callback, options, matchers.takeAction, pattern),
+    onYieldPutAction: (action, callback, options) => listen(lstPost, callback, options, matchers.putAction, action),
+    onYieldCall: (fn, callback, options) => listen(lstPost, callback, options, matchers.call, fn),
+    onYieldCallWithArgs: (fn, args, callback, options) => listen(lstPost, callback, options, matchers.callWithArgs, fn, args),
+    onYieldCallWithExactArgs: (fn, args, callback, options) => listen(lstPost, callback, options, matchers.callWithExactArgs, fn, args),
+    onYieldSelect: (selector, callback, options) => listen(lstPost, callback, options, matchers.select, selector),
+    onYieldMatch: (predicate, callback, options) => listen(lstPost, callback, options, _.identity, predicate),
+    onYieldFork: (fn, callback, options) => listen(lstPost, callback, options, matchers.fork, fn),
+
+    onDone: (...args) => listenLifecycle(matchers.sagaDone, ...args),
+    onError: (...args) => listenLifecycle(matchers.sagaError, ...args),
+    onCancel: (...args) => listenLifecycle(matchers.sagaCancelled, ...args),
+
+    stubCall: (fn, stub) => createCallStubFor(matchers.call(fn), stub),
+    stubCallWithArgs: (fn, args, stub) => createCallStubFor(matchers.callWithArgs(fn, args), stub),
+    stubCallWithExactArgs: (fn, args, stub) => createCallStubFor(matchers.callWithExactArgs(fn, args), stub),
+    stubSelect: (selector, valueOrFn) => createStub(matchers.select(selector), stubSelectCreator(valueOrFn)),
+    stubTake: (pattern, actionOrFactory) => createStub(matchers.takeAction(pattern), stubTakeCreator(actionOrFactory)),
+    stubTakeSequence: (pattern, actions) => createStub(matchers.takeAction(pattern), stubTakeSequenceCreator(actions)),
+    stubPut: (action, replacement) => createStub(matchers.putAction(action), stubPutCreator(replacement)),
+    stubMatch: (predicate, replacer) => createStub(predicate, replacer),
+    stubFork: (fn, replacementSaga) => createStub(matchers.or(matchers.fork(fn), matchers.spawn(fn)), stubCallCreator(replacementSaga)),
+    resolveEffect: (matcher, value) => createResolver(matcher, { value }),
+    rejectEffect: (matcher, error) => createResolver(matcher, { rejected: true, error }),
+    throwOn: (matcher, error, nth) => createResolver(matcher, { rejected: true, error, nth, matched: 0 }),
+    throwOnPutAction: (action, error, nth) =>
+      createResolver(matchers.putAction(action), { rejected: true, error, nth, matched: 0 }),
+    throwOnTake: (pattern, error, nth) =>
+      createResolver(matchers.takeAction(pattern), { rejected: true, error, nth, matched: 0 }),
+    throwOnSelect: (selector, error, nth) =>
+      createResolver(matchers.select(selector), { rejected: true, error, nth, matched: 0 }),
+    resetStubs: () => {
+      stubs.splice(0, stubs.length - builtinStubsCount)
+      resolvers.length = 0
+      return retval
+    },
+    clearStoredEffects: () => { log.length = 0; return retval },
+    clearListeners: () => {
+      lstPre.length = 0
+      lstPost.length = 0
+      lstLifecycle.length = 0
+      return retval
+    }
+  }
+
+  const describedMethods = _.mapValues(chainableMethods, (method, name) => (...args) => {
+    description = describeCall(name, args)
+    try {
+      return method(...args)
+    } finally {
+      description = undefined
+    }
+  })
+
+  // store of the last run(), used by the scenarios
+  let runningStore
+
+  // runs the mocked saga on an in-memory store, the actions are dispatched after the start of the saga
+  const run = ({ state, reducer, actions = [] } = {}, ...args) => {
+    const store = createFakeStore(state, reducer)
+    runningStore = store
+    const iterator = _.isFunction(retval) ? retval(...args) : retval
+    const done = runOnStore(iterator, store)
+    actions.forEach(store.dispatch)
+    return done.then(result => ({
+      result,
+      state: store.getState(),
+      states: store.states,
+      dispatched: store.dispatched
+    }))
+  }
+
+  // the actions are dispatched to the store, or with the dispatch function, or to the store of the last run()
+  const scenario = (storeOrDispatch, { timeout } = {}) => createScenario(context, () => {
+    const target = storeOrDispatch || runningStore
+    if (!target) throw new Error('a store is required when the saga is not started with run()')
+    return _.isFunction(target) ? target : target.dispatch
+  }, timeout)
+
+  // the effects returned by the driver are the ones of the saga after the user stubs
+  const driver = (...args) => createDriver(createGenerator(saga, context, undefined, { manual: true })(...args))
+
+  // the waitFor methods return a promise resolved with the next matching effect, the last argument is the timeout
+  const waitFor = (name, matcher, args, timeout) => waitForEffect(context, matcher, {
+    timeout,
+    description: describeCall(name, args)
+  }).then(({ effect }) => effect)
+  const waitForMethods = {
+    waitForEffect: (effect, timeout) => waitFor('waitForEffect', matchers.effect(effect), [effect], timeout),
+    waitForTakeAction: (pattern, timeout) => waitFor('waitForTakeAction', matchers.takeAction(pattern), [pattern], timeout),
+    waitForPutAction: (action, timeout) => waitFor('waitForPutAction', matchers.putAction(action), [action], timeout),
+    waitForCall: (fn, timeout) => waitFor('waitForCall', matchers.call(fn), [fn], timeout),
+    waitForCallWithArgs: (fn, args, timeout) =>
+      waitFor('waitForCallWithArgs', matchers.callWithArgs(fn, args), [fn, args], timeout),
+    waitForCallWithExactArgs: (fn, args, timeout) =>
+      waitFor('waitForCallWithExactArgs', matchers.callWithExactArgs(fn, args), [fn, args], timeout),
+    waitForSelect: (selector, timeout) => waitFor('waitForSelect', matchers.select(selector), [selector], timeout),
+    waitForMatch: (predicate, timeout) => waitFor('waitForMatch', predicate, [predicate], timeout),
+    waitForFork: (fn, timeout) => waitFor('waitForFork', matchers.fork(fn), [fn], timeout)
+  }
+
+  // advance the virtual clock, the returned promises are resolved with the new time
+  const withClock = (method) => (...args) => {
+    if (!clock) throw new Error('the fake time is not enabled, use the fakeTime option')
+    return clock[method](...args)
+  }
+
+  // the snapshot stores the effects of the whole log
+  const serializeEffects = () => JSON.stringify(serializeEntries(log), null, 2)
+  const matchesSnapshot = (file, options) => {
+    matchSnapshot(serializeEffects(), file, options)
+    return retval
+  }
+
+  const queryMethods = createQueryMethods(log)
+  return Object.assign(retval, queryMethods, describedMethods, waitForMethods, createExpectationMethods(expectations), {
+    verify,
+    run,
+    scenario,
+    driver,
+    listen: listenWithHandle,
+    serializeEffects,
+    matchesSnapshot,
+    printEffects: () => {
+      const timeline = queryMethods.query().toString()
+      console.log(timeline)
+      return timeline
+    },
+    pending: () => getPending(context),
+    describeState: () => describeState(context),
+    tick: withClock('tick'),
+    runAllTimers: withClock('runAllTimers')
   })
+}
+
+const isOriginOf = (origin, fnOrName) => origin.fn === fnOrName || (_.isString(fnOrName) && origin.name === fnOrName)
+
+// true if the effect was yielded by the saga or by one of its sub-generators
+const isFromSaga = (origin, fnOrName) => !!origin && (isOriginOf(origin, fnOrName) || isFromSaga(origin.parent, fnOrName))
+
+/**
+ * Creates the query methods on the log entries.
+ * @param getEntries array of log entries or function returning it
+ * @param isOwn tests if the origin of an entry is a saga of the query, by default the mocked saga; null when the
+ * entries have no origin, then the queries by saga are not supported
+ * @param format renders the entries of a result, with their positions and the matcher of the result, see toString()
+ */
+function createQueryMethods (getEntries, isOwn = origin => !origin.parent, format = formatEntries) {
+  if (Array.isArray(getEntries)) {
+    const entries = getEntries
+    getEntries = () => entries
+  }
+  const getEffects = () => getEntries().map(entry => entry.effect)
+  const withOrigins = (name, createQuery) => {
+    if (!isOwn) throw new Error(`${name}() is not supported on an array of sagas, query the single sagas instead`)
+    return createQuery()
+  }
+  const findMatching = (predicate, fromPos = 0, last) => findAllIndexes(getEffects(), recursive(predicate), fromPos, last)
+
+  const createOrderedQueries = (from, last) => {
+    // the result keeps the matcher to extract the matching effects nested in race and parallel effects
+    const find = matcher => createResult(findMatching(matcher, from, last), matcher)
+    return {
+      effect: effect => find(matchers.effect(effect)),
+      putAction: action => find(matchers.putAction(action)),
+      putActionMatching: partial => find(matchers.putActionMatching(partial)),
+      takeAction: pattern => find(matchers.takeAction(pattern)),
+      call: fn => find(matchers.call(fn)),
+      callWithArgs: (fn, ...args) => find(matchers.callWithArgs(fn, args)),
+      callWithExactArgs: (fn, ...args) => find(matchers.callWithExactArgs(fn, args)),
+      select: (selector, ...args) => find(matchers.select(selector, args.length > 0 ? args : undefined)),
+      where: predicate => find(predicate),
+      fork: fn => find(matchers.fork(fn)),
+      spawn: fn => find(matchers.spawn(fn)),
+      join: task => find(matchers.join(task)),
+      cancel: task => find(matchers.cancel(task)),
+      cancelled: () => find(matchers.cancelled()),
+      sagaDone: fnOrName => find(matchers.sagaDone(fnOrName)),
+      sagaError: fnOrName => find(matchers.sagaError(fnOrName)),
+      sagaCancelled: fnOrName => find(matchers.sagaCancelled(fnOrName))
+    }
+  }
 
-  function createResult (indexes) {
+  function createResult (indexes, matcher) {
     const isPresent = indexes.length > 0
-    const filteredEffects = indexes.map(i => getEffects()[i])
+    const entries = getEntries()
+    const filteredEntries = indexes.map(i => entries[i])
     const count = indexes.length
     const next = isPresent ? indexes[0] + 1 : 0
     const prev = isPresent ? indexes[count - 1] - 1 : 0
     return Object.assign(
       {
         indexes,
-        effects: filteredEffects,
+        entries: filteredEntries,
+        effects: filteredEntries.map(entry => entry.effect),
+        results: filteredEntries.map(entry => entry.result),
+        errors: filteredEntries.map(entry => entry.error),
+        statuses: filteredEntries.map(entry => entry.status),
+        // arguments of the matching call, cps, fork, spawn or select effects
+        args: () => filteredEntries.map(entry => {
+          const effect = matcher ? findNested(matcher, entry.effect) : entry.effect
+          return isIO(effect) ? getPayload(effect).args : undefined
+        }),
         isPresent,
         notPresent: !isPresent,
+        toString: () => format(filteredEntries, indexes, matcher),
         count,
-        number: num => createResult(num >= 0 && num <= count ? [indexes[num]] : []),
-        first: () => createResult(isPresent ? [indexes[0]] : []),
-        last: () => createResult(isPresent ? [indexes[count - 1]] : []),
+        number: num => createResult(num >= 0 && num <= count ? [indexes[num]] : [], matcher),
+        first: () => createResult(isPresent ? [indexes[0]] : [], matcher),
+        last: () => createResult(isPresent ? [indexes[count - 1]] : [], matcher),
         followedBy: createOrderedQueries(next),
-        precededBy: createOrderedQueries(0, prev)
+        precededBy: createOrderedQueries(0, prev),
+        // the effects of the set produced by the saga
+        fromSaga: fnOrName => withOrigins('fromSaga', () => createQueryMethods(
+          filteredEntries.filter(entry => isFromSaga(entry.origin, fnOrName)),
+          origin => isOriginOf(origin, fnOrName)
+        ).query()),
+        ownEffectsOnly: () => withOrigins('ownEffectsOnly', () => createQueryMethods(
+          filteredEntries.filter(entry => !!entry.origin && isOwn(entry.origin)),
+          isOwn
+        ).query())
       },
       createOrderedQueries()
     )
   }
 
   return {
-    query: () => createResult(Array.from(getEffects().keys()))
+    query: () => createResult(Array.from(getEntries().keys()))
   }
 }
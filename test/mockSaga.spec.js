@@ -1,10 +1,13 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import _ from 'lodash'
 import { expect, assert } from 'chai'
 import { createStore, applyMiddleware } from 'redux'
-import createSagaMiddleware from 'redux-saga'
+import createSagaMiddleware, { delay } from 'redux-saga'
 import * as effects from 'redux-saga/effects'
 
-import { mockSaga } from '../src/mockSaga'
+import { mockSaga, matchers, any, anything, objectContaining, captor } from '../src/mockSaga'
 
 describe('mock saga', () => {
   const someInitialValue = 'SOME_INITIAL_VALUE'
@@ -40,21 +43,61 @@ describe('mock saga', () => {
       'onCall',
       'onCallWithArgs',
       'onCallWithExactArgs',
+      'onSelect',
+      'onMatch',
+      'onFork',
+      'onDone',
+      'onError',
+      'onCancel',
       'stubCall',
       'stubCallWithArgs',
       'stubCallWithExactArgs',
+      'stubSelect',
+      'stubTake',
+      'stubTakeSequence',
+      'stubPut',
+      'resolveEffect',
+      'rejectEffect',
+      'throwOn',
+      'throwOnPutAction',
+      'throwOnTake',
+      'throwOnSelect',
+      'stubMatch',
+      'stubFork',
       'resetStubs',
-      'clearStoredEffects'
+      'clearStoredEffects',
+      'clearListeners'
     ]
     const quertMethods = [
       'effect',
       'putAction',
+      'putActionMatching',
       'takeAction',
       'call',
       'callWithArgs',
-      'callWithExactArgs'
+      'callWithExactArgs',
+      'select',
+      'where',
+      'fork',
+      'spawn',
+      'join',
+      'cancel',
+      'cancelled',
+      'sagaDone',
+      'sagaError',
+      'sagaCancelled'
     ]
-    const methods = chainableMethods.concat('query')
+    const methods = chainableMethods.concat(
+      'query',
+      'verify',
+      'expectCall',
+      'expectCallWithArgs',
+      'expectPutAction',
+      'expectMatch',
+      'printEffects',
+      'serializeEffects',
+      'matchesSnapshot'
+    )
 
     methods.forEach(methodName => {
       describe(`should have method ${methodName}`, () => {
@@ -74,7 +117,9 @@ describe('mock saga', () => {
     const qm = quertMethods.concat(
       'first',
       'last',
-      'number'
+      'number',
+      'fromSaga',
+      'ownEffectsOnly'
     )
     qm.forEach(methodName => {
       describe(`should have query method ${methodName}`, () => {
@@ -236,6 +281,203 @@ describe('mock saga', () => {
     })
   })
 
+  describe('should find select', () => {
+    const selector = s => s.someKey
+    const saga = function * () {
+      yield 'test'
+      yield effects.select(selector)
+      yield effects.select(selector, 'a')
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().select(selector).isPresent)
+          assert.isTrue(mock.query().select(selector, 'a').isPresent)
+          assert.isFalse(mock.query().select(selector, 'b').isPresent)
+          assert.isFalse(mock.query().select(s => s).isPresent)
+          if (name !== 'array') {
+            assert.equal(mock.query().select(selector).count, 2)
+            assert.equal(mock.query().select(selector, 'a').count, 1)
+          }
+        })
+      })
+    })
+  })
+
+  describe('should find effects matching a predicate', () => {
+    const saga = function * () {
+      yield 'test'
+      yield effects.call(someObj.method, 'a')
+      yield effects.put(someAction)
+      yield effects.call(someObj.method, 'b')
+    }
+    const callWithA = matchers.and(matchers.call(someObj.method), effect => _.includes(effect.CALL.args, 'a'))
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().where(callWithA).isPresent)
+          assert.isTrue(mock.query().where(matchers.or(matchers.putAction(otherAction), matchers.putAction(someAction))).isPresent)
+          assert.isFalse(mock.query().where(matchers.putAction(otherAction)).isPresent)
+          if (name !== 'array') {
+            assert.equal(mock.query().where(callWithA).count, 1)
+            assert.isTrue(mock.query().where(callWithA).followedBy.putAction(someAction).isPresent)
+            assert.isTrue(mock.query().putAction(someAction).followedBy.where(matchers.call(someObj.method)).isPresent)
+          }
+        })
+      })
+    })
+  })
+
+  describe('should find fork, spawn, join and cancel', () => {
+    const worker = function * () {
+      yield effects.take(someActionType)
+    }
+    const otherWorker = function * () {
+      yield effects.cancelled()
+    }
+    const saga = function * () {
+      yield 'test'
+      const task = yield effects.fork(worker)
+      const spawned = yield effects.spawn(otherWorker)
+      yield effects.join(spawned)
+      yield effects.cancel(task)
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+        return runTest(mock).done.then(() => {
+          const query = mock.query()
+          assert.isTrue(query.fork(worker).isPresent)
+          assert.isFalse(query.fork(otherWorker).isPresent)
+          assert.isTrue(query.spawn(otherWorker).isPresent)
+          assert.isFalse(query.spawn(worker).isPresent)
+          assert.isTrue(query.join().isPresent)
+          assert.isTrue(query.cancel().isPresent)
+          assert.isTrue(query.cancelled().isPresent)
+          if (name !== 'array') {
+            assert.isTrue(query.spawn().followedBy.join().followedBy.cancel().isPresent)
+          }
+        })
+      })
+    })
+  })
+
+  describe('should record results and errors', () => {
+    const error = new Error('test')
+    const fail = () => { throw error }
+    const saga = function * () {
+      yield 'test'
+      yield effects.call(someObj.method, 1, 2)
+      try {
+        yield effects.call(fail)
+      } catch (e) {}
+      yield effects.take(someActionType)
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+        const task = runTest(mock)
+        if (name !== 'array') {
+          assert.deepEqual(mock.query().takeAction(someActionType).statuses, [ 'pending' ])
+        }
+        store.dispatch(someAction)
+        return task.done.then(() => {
+          const call = mock.query().call(someObj.method)
+          const failed = mock.query().call(fail)
+          const take = mock.query().takeAction(someActionType)
+          if (name === 'array') {
+            assert.include(call.results[0], 3)
+            assert.include(failed.errors[0], error)
+            assert.include(take.results[0], someAction)
+          } else {
+            assert.deepEqual(call.results, [ 3 ])
+            assert.deepEqual(call.errors, [ undefined ])
+            assert.deepEqual(call.statuses, [ 'resolved' ])
+            assert.deepEqual(failed.errors, [ error ])
+            assert.deepEqual(failed.statuses, [ 'rejected' ])
+            assert.deepEqual(take.results, [ someAction ])
+            assert.deepEqual(_.omit(take.entries[0], 'origin'), {
+              effect: effects.take(someActionType), result: someAction, error: undefined, status: 'resolved', stubbed: false
+            })
+          }
+        })
+      })
+    })
+  })
+
+  describe('should track the saga producing the effects', () => {
+    const subWorker = function * subWorker () {
+      yield effects.put({ type: 'sub' })
+    }
+    const worker = function * worker () {
+      yield effects.put({ type: 'worker' })
+      yield effects.call(subWorker)
+    }
+    const saga = function * () {
+      yield effects.fork(worker)
+      yield effects.put({ type: 'root' })
+    }
+
+    it('should record the origin of the effects', () => {
+      const mock = mockSaga(saga)
+      return runTest(mock).done.then(() => {
+        const root = mock.query().putAction('root').entries[0].origin
+        const fromWorker = mock.query().putAction('worker').entries[0].origin
+        const fromSub = mock.query().putAction('sub').entries[0].origin
+        assert.include(root, { depth: 0, parentId: undefined })
+        assert.include(fromWorker, { name: 'worker', depth: 1, parentId: root.id })
+        assert.include(fromSub, { name: 'subWorker', depth: 2, parentId: fromWorker.id })
+      })
+    })
+
+    it('should find effects of a saga and of its sub-sagas', () => {
+      const mock = mockSaga(saga)
+      return runTest(mock).done.then(() => {
+        const query = mock.query()
+        assert.isFalse(query.fromSaga(worker).putAction('root').isPresent)
+        assert.isTrue(query.fromSaga(worker).putAction('worker').isPresent)
+        assert.isTrue(query.fromSaga(worker).putAction('sub').isPresent)
+        assert.isTrue(query.fromSaga('worker').putAction('worker').followedBy.putAction('sub').isPresent)
+        assert.isFalse(query.fromSaga(subWorker).putAction('worker').isPresent)
+        assert.equal(query.fromSaga('unknown').count, 0)
+      })
+    })
+
+    it('should find only the own effects of a saga', () => {
+      const mock = mockSaga(saga)
+      return runTest(mock).done.then(() => {
+        const query = mock.query()
+        assert.isTrue(query.ownEffectsOnly().putAction('root').isPresent)
+        assert.isFalse(query.ownEffectsOnly().putAction('worker').isPresent)
+        assert.isTrue(query.fromSaga(worker).ownEffectsOnly().putAction('worker').isPresent)
+        assert.isFalse(query.fromSaga(worker).ownEffectsOnly().putAction('sub').isPresent)
+      })
+    })
+
+    it('should query by saga the effects of a filtered set', () => {
+      const mock = mockSaga(saga)
+      return runTest(mock).done.then(() => {
+        const query = mock.query()
+        assert.equal(query.putAction('root').fromSaga(worker).count, 0)
+        assert.equal(query.putAction('sub').fromSaga(worker).count, 1)
+        assert.equal(query.putAction('worker').ownEffectsOnly().count, 0)
+        assert.deepEqual(query.putAction('root').ownEffectsOnly().effects, [ effects.put({ type: 'root' }) ])
+        assert.equal(query.fork(worker).fromSaga(worker).count, 0)
+      })
+    })
+
+    it('should not query by saga on an array of sagas', () => {
+      const mock = mockSaga([ saga(), saga() ])
+      return runTest(mock).done.then(() => {
+        assert.throws(() => mock.query().fromSaga(worker), 'fromSaga() is not supported on an array of sagas')
+        assert.throws(() => mock.query().putAction('root').first().ownEffectsOnly(), 'ownEffectsOnly() is not supported')
+        assert.isTrue(mock[0].query().fromSaga(worker).putAction('worker').isPresent)
+      })
+    })
+  })
+
   describe('should find in parrallel effects', () => {
     const saga = function * () {
       yield 'test'
@@ -437,130 +679,1761 @@ describe('mock saga', () => {
     })
   })
 
-  describe('should stub call', () => {
-    const toStub = () => done(new Error('toStub() should not be called'))
+  describe('should listen select', () => {
+    const selector = s => s.someKey
     const saga = function * () {
       yield 'test'
-      yield effects.call(toStub)
+      yield effects.select(selector)
     }
     _.forEach(buildTests(saga), (toTest, name) => {
       it(`on ${name}`, (done) => {
         const mock = mockSaga(toTest)
-          .stubCall(toStub, () => done())
+        mock.onSelect(s => s, () => done('invalid match on other selector'))
+        mock.onSelect(selector, () => done())
+        runTest(mock)
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - after evaluate the select`, () => {
+        const mock = mockSaga(toTest)
+        const promise = mock.onYieldSelect(selector)
         runTest(mock)
+        return promise
       })
     })
   })
 
-  describe('stub throw should be tranfered to the orginal saga', () => {
-    const toStub = () => done(new Error('toStub() should not be called'))
-    const error = new Error('test')
-    let done
+  describe('should listen effects matching a predicate', () => {
     const saga = function * () {
-      try {
-        yield 'test'
-        yield effects.call(toStub)
-      } catch (e) {
-        assert.equal(e, error)
-        done()
-      }
+      yield 'test'
+      yield effects.call(someObj.method, 2, 3)
     }
+    const predicate = matchers.and(matchers.call(someObj.method), matchers.not(matchers.callWithArgs(someObj.method, [ 1 ])))
     _.forEach(buildTests(saga), (toTest, name) => {
-      it(`on ${name}`, (_done) => {
-        done = _done
+      it(`on ${name}`, (done) => {
         const mock = mockSaga(toTest)
-          .stubCall(toStub, () => {
-            throw error
+          .onMatch(matchers.callWithArgs(someObj.method, [ 1 ]), () => done('invalid call [1]'))
+          .onMatch(predicate, () => done())
+        runTest(mock)
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - after evaluate the effect`, (done) => {
+        const mock = mockSaga(toTest)
+          .onYieldMatch(predicate, ({ data }) => {
+            assert.equal(data, 5)
+            done()
           })
         runTest(mock)
       })
     })
   })
 
-  describe('should stub call in parallel', () => {
-    let toNotStubOk = false
-    let toStubOk = false
-    const toStub = () => done(new Error('toStub() should not be called'))
-    const toNotStub = () => toNotStubOk = true
-    let done
+  describe('should listen fork', () => {
+    const worker = function * () {}
     const saga = function * () {
       yield 'test'
-      yield [
-        effects.call(toStub),
-        effects.call(toNotStub)
-      ]
-      yield effects.call(() => {
-        assert.isTrue(toStubOk)
-        assert.isTrue(toNotStubOk)
-        done()
-      })
+      yield effects.fork(worker)
     }
     _.forEach(buildTests(saga), (toTest, name) => {
-      it(`on ${name}`, (_done) => {
-        done = _done
+      it(`on ${name}`, (done) => {
         const mock = mockSaga(toTest)
-          .stubCall(toStub, () => toStubOk = true)
+          .onFork(function * () {}, () => done('invalid match on other saga'))
+          .onFork(worker, () => done())
+        runTest(mock)
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - after the fork`, (done) => {
+        const mock = mockSaga(toTest)
+          .onYieldFork(worker, ({ data: task }) => {
+            assert.isFunction(task.cancel)
+            done()
+          })
         runTest(mock)
       })
     })
   })
 
-  describe('should stub call in race', () => {
-    let toNotStubOk = false
-    let toStubOk = false
+  describe('should stub call', () => {
     const toStub = () => done(new Error('toStub() should not be called'))
-    const toNotStub = () => toNotStubOk = true
-    let done
     const saga = function * () {
       yield 'test'
-      yield effects.race({
-        toStub: effects.call(toStub),
-        toNotStub: effects.call(toNotStub)
-      })
-      yield effects.call(() => setTimeout(() => {
-        assert.isTrue(toStubOk)
-        assert.isTrue(toNotStubOk)
-        done()
-      }))
+      yield effects.call(toStub)
     }
     _.forEach(buildTests(saga), (toTest, name) => {
-      it(`on ${name}`, (_done) => {
-        done = _done
+      it(`on ${name}`, (done) => {
         const mock = mockSaga(toTest)
-          .stubCall(toStub, () => {
-            toStubOk = true
-            return new Promise((resolve, reject) => {})
-          })
+          .stubCall(toStub, () => done())
         runTest(mock)
       })
     })
   })
 
-  describe('should stub call in nested effects', () => {
-    let toStubOk = false
-    let toStub2Ok = false
-    const toStub = () => done(new Error('toStub() should not be called'))
-    const toStub2 = () => done(new Error('toStub2() should not be called'))
-    let done
+  describe('should stub select', () => {
+    const selector = s => s.someKey
     const saga = function * () {
       yield 'test'
-      yield [
-        [ effects.put(someAction), effects.call(toStub) ],
-        effects.race({ one: effects.take(someActionType), two: effects.call(toStub2) })
-      ]
-      yield effects.call(() => {
-        assert.isTrue(toStubOk)
-        assert.isTrue(toStub2Ok)
-        done()
+      const value = yield effects.select(selector, 'arg')
+      yield effects.put({ type: value })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - with a value`, () => {
+        const mock = mockSaga(toTest)
+          .stubSelect(selector, 'stubbed')
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction('stubbed').isPresent)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - with a function`, () => {
+        const fakeState = { someKey: 'fake' }
+        const mock = mockSaga(toTest)
+          .stubSelect(selector, (arg) => selector(fakeState) + arg)
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction('fakearg').isPresent)
+        })
       })
+    })
+  })
+
+  describe('should stub take', () => {
+    const saga = function * () {
+      yield 'test'
+      const action = yield effects.take(someActionType)
+      const { taken } = yield effects.race({
+        taken: effects.take(someActionType),
+        other: effects.take(otherActionType)
+      })
+      yield effects.put({ type: 'taken', args: [ action.arg, taken.arg ] })
     }
     _.forEach(buildTests(saga), (toTest, name) => {
-      it(`on ${name}`, (_done) => {
-        done = _done
+      it(`on ${name} - with an action`, () => {
         const mock = mockSaga(toTest)
-          .stubCall(toStub, () => toStubOk = true)
-          .stubCall(toStub2, () => toStub2Ok = true)
-        runTest(mock)
+          .stubTake(someActionType, someAction)
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction({ type: 'taken', args: [ 1, 1 ] }).isPresent)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - with a factory`, () => {
+        let arg = 0
+        const mock = mockSaga(toTest)
+          .stubTake(someActionType, (pattern) => ({ type: pattern, arg: ++arg }))
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction({ type: 'taken', args: [ 1, 2 ] }).isPresent)
+        })
+      })
+    })
+  })
+
+  describe('should stub take with a sequence of actions', () => {
+    const saga = function * () {
+      yield 'test'
+      const args = []
+      for (let i = 0; i < 3; i++) {
+        const action = yield effects.take(someActionType)
+        args.push(action.arg)
+      }
+      yield effects.put({ type: 'taken', args })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+          .stubTakeSequence(someActionType, [ someAction2, someAction ])
+        const task = runTest(mock)
+        // the third take is not stubbed
+        store.dispatch({ type: someActionType, arg: 3 })
+        return task.done.then(() => {
+          assert.isTrue(mock.query().putAction({ type: 'taken', args: [ 2, 1, 3 ] }).isPresent)
+        })
+      })
+    })
+  })
+
+  describe('should stub put', () => {
+    const saga = function * () {
+      yield 'test'
+      yield effects.put(someAction)
+    }
+    let dispatched
+    beforeEach(() => {
+      dispatched = []
+      sagaMiddleware.run(function * () {
+        while (true) {
+          dispatched.push(yield effects.take('*'))
+        }
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - dropping the action`, () => {
+        const mock = mockSaga(toTest)
+          .stubPut(someActionType)
+        return runTest(mock).done.then(() => {
+          assert.deepEqual(dispatched, [])
+          assert.isTrue(mock.query().putAction(someAction).isPresent)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - replacing the action`, () => {
+        const mock = mockSaga(toTest)
+          .stubPut(someAction, otherAction)
+        return runTest(mock).done.then(() => {
+          assert.deepEqual(dispatched, [ otherAction ])
+          assert.isTrue(mock.query().putAction(someAction).isPresent)
+          assert.isFalse(mock.query().putAction(otherAction).isPresent)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - replacing the action with a type`, () => {
+        const mock = mockSaga(toTest)
+          .stubPut(someAction, otherActionType)
+        return runTest(mock).done.then(() => assert.deepEqual(dispatched, [ otherAction ]))
+      })
+    })
+    it('should reject an invalid put replacement', () => {
+      assert.throws(() => mockSaga(saga).stubPut(someAction, 1), 'the replacement of a put must be an action')
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - recording the action`, () => {
+        const sink = []
+        const mock = mockSaga(toTest)
+          .stubPut(someActionType, sink)
+        return runTest(mock).done.then(() => {
+          assert.deepEqual(dispatched, [])
+          assert.deepEqual(sink, [ someAction ])
+        })
+      })
+    })
+    it('should return the action to the saga', () => {
+      let result
+      const mock = mockSaga(function * () {
+        result = yield effects.put(someAction)
+      }).stubPut(someActionType, () => {})
+      return runTest(mock).done.then(() => {
+        assert.deepEqual(result, someAction)
+      })
+    })
+  })
+
+  describe('should stub call with a sequence of behaviours', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const error = new Error('test')
+    const saga = function * () {
+      yield 'test'
+      for (let attempt = 0; attempt < 4; attempt++) {
+        try {
+          const result = yield effects.call(api, attempt)
+          yield effects.put({ type: 'result', result })
+        } catch (e) {
+          yield effects.put({ type: 'error', error: e })
+        }
+      }
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+        const stub = mock.stubCall(api)
+          .returnsOnce('a')
+          .throwsOnce(error)
+          .returns(Promise.resolve('b'))
+        return runTest(mock).done.then(() => {
+          const query = mock.query()
+          if (name === 'array') {
+            assert.isTrue(query.putAction({ type: 'result', result: 'a' }).isPresent)
+            assert.isTrue(query.putAction({ type: 'error', error }).isPresent)
+            assert.isTrue(query.putAction({ type: 'result', result: 'b' }).isPresent)
+          } else {
+            assert.isTrue(query.putAction({ type: 'result', result: 'a' })
+              .followedBy.putAction({ type: 'error', error }).isPresent)
+            assert.isTrue(query.putAction({ type: 'error', error })
+              .followedBy.putAction({ type: 'result', result: 'b' }).isPresent)
+          }
+          assert.equal(stub.callCount, 4)
+          assert.deepEqual(stub.calls, [ [ 0 ], [ 1 ], [ 2 ], [ 3 ] ])
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - with args`, () => {
+        const mock = mockSaga(toTest)
+          .stubCall(api, () => 'other')
+        const stub = mock.stubCallWithArgs(api, [ 1 ]).returns('one')
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction({ type: 'result', result: 'one' }).isPresent)
+          assert.equal(stub.callCount, 1)
+        })
+      })
+    })
+  })
+
+  describe('should resolve effects', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const selector = s => s.someKey
+    const error = new Error('test')
+    const saga = function * () {
+      yield 'test'
+      const value = yield effects.call(api)
+      const selected = yield effects.select(selector)
+      const action = yield effects.take(someActionType)
+      let caught
+      try {
+        yield effects.cps(api)
+      } catch (e) {
+        caught = e
+      }
+      yield effects.put({ type: 'result', value, selected, action, caught })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        let listened
+        const mock = mockSaga(toTest)
+          .resolveEffect(matchers.call(api), 'value')
+          .resolveEffect(effects.select(selector), 'selected')
+          .resolveEffect(matchers.takeAction(someActionType), someAction)
+          .rejectEffect(effect => !!effect.CPS, error)
+          .onYieldCall(api, ({ data }) => { listened = data })
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction({
+            type: 'result', value: 'value', selected: 'selected', action: someAction, caught: error
+          }).isPresent)
+          assert.isTrue(mock.query().call(api).isPresent)
+          assert.equal(listened, 'value')
+        })
+      })
+    })
+  })
+
+  describe('should stub effects matching a predicate', () => {
+    const saga = function * () {
+      yield 'test'
+      const value = yield effects.select(s => s.someKey)
+      yield effects.put({ type: value })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+          .stubMatch(effect => !!effect.SELECT, () => effects.call(() => 'stubbed'))
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction('stubbed').isPresent)
+        })
+      })
+    })
+  })
+
+  describe('should stub fork', () => {
+    const heavyWorker = function * () {
+      yield effects.put({ type: 'heavy' })
+    }
+    const fakeWorker = function * (arg) {
+      yield effects.put({ type: 'fake', arg })
+    }
+    const saga = function * () {
+      yield 'test'
+      yield effects.fork(heavyWorker, 1)
+      yield effects.spawn(heavyWorker, 2)
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+          .stubFork(heavyWorker, fakeWorker)
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().fork(heavyWorker).isPresent)
+          assert.isFalse(mock.query().putAction('heavy').isPresent)
+          assert.isTrue(mock.query().putAction({ type: 'fake', arg: 1 }).isPresent)
+          assert.isTrue(mock.query().putAction({ type: 'fake', arg: 2 }).isPresent)
+        })
+      })
+    })
+  })
+
+  describe('strict mode', () => {
+    const api = function fetchData () { throw new Error('api() should not be called') }
+    const allowed = (a) => a * 2
+    const selector = s => s.someKey
+    const saga = function * () {
+      yield 'test'
+      const stubbed = yield effects.call(someObj.method, 1)
+      const doubled = yield effects.call(allowed, stubbed)
+      const selected = yield effects.select(selector)
+      try {
+        yield effects.call(api, 'a', 1)
+      } catch (e) {
+        yield effects.put({ type: 'error', message: e.message, stubbed, doubled, selected })
+      }
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        // dummyfn is called by the 'array inside generator' test case
+        const mock = mockSaga(toTest, { strict: true, allow: [ allowed, 'dummyfn' ] })
+          .stubCall(someObj.method, () => 10)
+          .stubSelect(selector, 'selected')
+        return runTest(mock).done.then(() => {
+          const message = 'strict mode: the call to fetchData("a", 1) is not stubbed'
+          assert.isTrue(mock.query().putAction({ type: 'error', message, stubbed: 10, doubled: 20, selected: 'selected' }).isPresent)
+          if (name !== 'array') {
+            assert.equal(mock.query().call(api).errors[0].message, message)
+          }
+        })
+      })
+    })
+    it('should allow functions by name', () => {
+      const mock = mockSaga(function * () {
+        yield effects.call(allowed, 1)
+      }, { strict: true, allow: [ 'allowed' ] })
+      return runTest(mock).done.then(() => {
+        assert.deepEqual(mock.query().call(allowed).results, [ 2 ])
+      })
+    })
+    it('should allow the calls created by the stubMatch replacers', () => {
+      const fake = (a) => a + 1
+      const mock = mockSaga(function * () {
+        return yield effects.race({ data: effects.call(api, 1) })
+      }, { strict: true }).stubMatch(matchers.call(api), () => effects.call(fake, 1))
+      return mock.run().then(({ result }) => assert.deepEqual(result, { data: 2 }))
+    })
+    it('should keep the strict mode after resetStubs()', () => {
+      const mock = mockSaga(function * () {
+        yield effects.call(allowed, 1)
+      }, { strict: true }).resetStubs()
+      return mock.run().then(
+        () => assert.fail('the saga should fail'),
+        (error) => assert.match(error.message, /not stubbed/)
+      )
+    })
+  })
+
+  describe('stub throw should be tranfered to the orginal saga', () => {
+    const toStub = () => done(new Error('toStub() should not be called'))
+    const error = new Error('test')
+    let done
+    const saga = function * () {
+      try {
+        yield 'test'
+        yield effects.call(toStub)
+      } catch (e) {
+        assert.equal(e, error)
+        done()
+      }
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, (_done) => {
+        done = _done
+        const mock = mockSaga(toTest)
+          .stubCall(toStub, () => {
+            throw error
+          })
+        runTest(mock)
+      })
+    })
+  })
+
+  describe('should stub call in parallel', () => {
+    let toNotStubOk = false
+    let toStubOk = false
+    const toStub = () => done(new Error('toStub() should not be called'))
+    const toNotStub = () => toNotStubOk = true
+    let done
+    const saga = function * () {
+      yield 'test'
+      yield [
+        effects.call(toStub),
+        effects.call(toNotStub)
+      ]
+      yield effects.call(() => {
+        assert.isTrue(toStubOk)
+        assert.isTrue(toNotStubOk)
+        done()
+      })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, (_done) => {
+        done = _done
+        const mock = mockSaga(toTest)
+          .stubCall(toStub, () => toStubOk = true)
+        runTest(mock)
+      })
+    })
+  })
+
+  describe('should stub call in race', () => {
+    let toNotStubOk = false
+    let toStubOk = false
+    const toStub = () => done(new Error('toStub() should not be called'))
+    const toNotStub = () => toNotStubOk = true
+    let done
+    const saga = function * () {
+      yield 'test'
+      yield effects.race({
+        toStub: effects.call(toStub),
+        toNotStub: effects.call(toNotStub)
+      })
+      yield effects.call(() => setTimeout(() => {
+        assert.isTrue(toStubOk)
+        assert.isTrue(toNotStubOk)
+        done()
+      }))
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, (_done) => {
+        done = _done
+        const mock = mockSaga(toTest)
+          .stubCall(toStub, () => {
+            toStubOk = true
+            return new Promise((resolve, reject) => {})
+          })
+        runTest(mock)
+      })
+    })
+  })
+
+  describe('should stub call in nested effects', () => {
+    let toStubOk = false
+    let toStub2Ok = false
+    const toStub = () => done(new Error('toStub() should not be called'))
+    const toStub2 = () => done(new Error('toStub2() should not be called'))
+    let done
+    const saga = function * () {
+      yield 'test'
+      yield [
+        [ effects.put(someAction), effects.call(toStub) ],
+        effects.race({ one: effects.take(someActionType), two: effects.call(toStub2) })
+      ]
+      yield effects.call(() => {
+        assert.isTrue(toStubOk)
+        assert.isTrue(toStub2Ok)
+        done()
+      })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, (_done) => {
+        done = _done
+        const mock = mockSaga(toTest)
+          .stubCall(toStub, () => toStubOk = true)
+          .stubCall(toStub2, () => toStub2Ok = true)
+        runTest(mock)
+      })
+    })
+  })
+
+  describe('resetStubs', () => {
+    const toStub = () => 'not stubbed'
+    const saga = function * () {
+      const result = yield effects.call(toStub)
+      yield effects.put({ type: result })
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name}`, () => {
+        const mock = mockSaga(toTest)
+          .stubCall(toStub, () => 'stubbed')
+        mock.resetStubs()
+        return runTest(mock).done.then(() => {
+          assert.isTrue(mock.query().putAction('not stubbed').isPresent)
+          assert.isFalse(mock.query().putAction('stubbed').isPresent)
+        })
+      })
+    })
+  })
+
+  describe('redux-saga 1.x effects', () => {
+    const IO = '@@redux-saga/IO'
+    const call = (fn, ...args) => ({ [IO]: true, combinator: false, type: 'CALL', payload: { context: null, fn, args } })
+    const put = (action) => ({ [IO]: true, combinator: false, type: 'PUT', payload: { channel: undefined, action } })
+    const all = (payload) => ({ [IO]: true, combinator: true, type: 'ALL', payload })
+    const toStub = () => 'not stubbed'
+    const stub = () => 'stubbed'
+
+    it('should stub, listen and query effects', () => {
+      const saga = function * () {
+        const result = yield call(toStub, 1)
+        yield all([ put({ type: result }), call(toStub, 2) ])
+      }
+      let listened = 0
+      const mock = mockSaga(saga)
+        .onPutAction('stubbed', () => listened++)
+        .onCallWithArgs(toStub, [ 2 ], () => listened++)
+        .stubCall(toStub, stub)
+      const gen = mock()
+      const first = gen.next().value
+      assert.strictEqual(first.payload.fn, stub)
+      assert.deepEqual(first.payload.args, [ 1 ])
+      const second = gen.next(first.payload.fn()).value
+      assert.equal(second.type, 'ALL')
+      assert.strictEqual(second.payload[1].payload.fn, stub)
+      assert.isTrue(gen.next().done)
+      assert.equal(listened, 2)
+      assert.equal(mock.query().call(toStub).count, 2)
+      assert.isTrue(mock.query().callWithExactArgs(toStub, 1).followedBy.putAction({ type: 'stubbed' }).isPresent)
+    })
+
+    it('should mock called and forked generators', () => {
+      const child = function * () {
+        yield put(someAction)
+      }
+      const fork = (fn) => ({ [IO]: true, combinator: false, type: 'FORK', payload: { context: null, fn, args: [] } })
+      const saga = function * () {
+        yield fork(child)
+      }
+      const mock = mockSaga(saga)
+      const forkEffect = mock().next().value
+      assert.notStrictEqual(forkEffect.payload.fn, child)
+      forkEffect.payload.fn().next()
+      assert.isTrue(mock.query().putAction(someAction).isPresent)
+    })
+  })
+
+  describe('verify', () => {
+    const api = function fetchData () {}
+    const unused = function unusedFn () {}
+    const saga = function * () {
+      yield 'test'
+      yield effects.call(api, 1)
+      yield effects.call(api, 2)
+      yield effects.put(someAction)
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - should pass when everything is used`, () => {
+        const mock = mockSaga(toTest)
+          .stubCall(api, () => {})
+        mock.onPutAction(someActionType)
+        mock.expectCall(api).times(2)
+        mock.expectPutAction(otherAction).never()
+        return runTest(mock).done.then(() => mock.verify())
+      })
+    })
+    it('should describe the matchers and the errors of the unused stubs', () => {
+      const mock = mockSaga(saga)
+        .throwOn(matchers.call(api), new Error('boom'), 2)
+        .rejectEffect(matchers.and(matchers.takeAction(otherActionType), matchers.cancelled()), new TypeError('bad'))
+      assert.throws(() => mock.verify(), [
+        'saga verification failed:',
+        '  - unused stub: rejectEffect(and(takeAction("OTHER_ACTION_TYPE"), cancelled()), TypeError("bad"))',
+        '  - unused stub: throwOn(call(fetchData), Error("boom"), 2)'
+      ].join('\n'))
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - should report unused stubs, pending listeners and unmet expectations`, () => {
+        const mock = mockSaga(toTest)
+          .stubCall(api, () => {})
+          .stubCall(unused, () => {})
+          .resolveEffect(matchers.takeAction(someActionType), someAction)
+        mock.onPutAction(otherActionType)
+        mock.onCall(api)
+        mock.expectCall(api).times(3)
+        mock.expectCallWithArgs(api, [ 2 ])
+        return runTest(mock).done.then(() => {
+          try {
+            mock.verify()
+          } catch (error) {
+            assert.sameMembers(error.problems, [
+              'unused stub: stubCall(unusedFn, anonymous function)',
+              `unused stub: resolveEffect(takeAction("SOME_ACTION_TYPE"), ${JSON.stringify(someAction)})`,
+              'pending listener: onPutAction("OTHER_ACTION_TYPE")',
+              'expectCall(fetchData) expected 3 times, found 2'
+            ])
+            assert.include(error.message, 'saga verification failed:')
+            assert.include(error.message, '  - unused stub: stubCall(unusedFn, anonymous function)')
+            return
+          }
+          assert.fail('verify() should throw')
+        })
+      })
+    })
+  })
+
+  describe('run', () => {
+    const counter = (state = { count: 0 }, action) => action.type === 'increment'
+      ? { count: state.count + action.by }
+      : state
+    const getCount = state => state.count
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * (by) {
+      const { arg } = yield effects.take(someActionType)
+      const step = yield effects.call(api, arg)
+      yield effects.put({ type: 'increment', by: by * step })
+      const count = yield effects.select(getCount)
+      return count
+    }
+
+    it('should run the saga on an in-memory store', () => {
+      const mock = mockSaga(saga).stubCall(api, (arg) => arg * 10)
+      return mock.run({ state: { count: 5 }, reducer: counter, actions: [ someAction ] }, 2)
+        .then(({ result, state, states, dispatched }) => {
+          assert.equal(result, 25)
+          assert.deepEqual(state, { count: 25 })
+          assert.deepEqual(states, [ { count: 5 }, { count: 5 }, { count: 25 } ])
+          assert.deepEqual(dispatched, [ someAction, { type: 'increment', by: 20 } ])
+          assert.isTrue(mock.query().takeAction(someActionType).followedBy.putAction('increment').isPresent)
+        })
+    })
+
+    it('should run a generator object', () => {
+      const mock = mockSaga(saga(1)).stubCall(api, () => 1)
+      return mock.run({ state: { count: 0 }, reducer: counter, actions: [ someAction ] })
+        .then(({ result }) => assert.equal(result, 1))
+    })
+
+    it('should reject when the saga fails', () => {
+      const error = new Error('test')
+      const mock = mockSaga(saga).stubCall(api, () => { throw error })
+      return mock.run({ actions: [ someAction ] }, 1).then(
+        () => assert.fail('the saga should fail'),
+        (actual) => assert.strictEqual(actual, error)
+      )
+    })
+
+    it('should not log the errors of the saga', () => {
+      const mock = mockSaga(saga).stubCall(api, () => { throw new Error('test') })
+      const { log, error } = console
+      const logged = []
+      console.log = console.error = (...args) => logged.push(args)
+      const restore = () => Object.assign(console, { log, error })
+      return mock.run({ actions: [ someAction ] }, 1).then(
+        () => assert.fail('the saga should fail'),
+        () => {
+          restore()
+          assert.deepEqual(logged, [])
+        }
+      ).catch((e) => {
+        restore()
+        throw e
+      })
+    })
+  })
+
+  describe('scenario', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * () {
+      const { arg } = yield effects.take(someActionType)
+      yield effects.put({ type: 'started', arg })
+      yield effects.take(otherActionType)
+      yield effects.call(api, arg)
+      yield effects.put({ type: 'done' })
+    }
+
+    it('should execute the steps against the saga started with run()', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 1)
+      const done = mock.run()
+      return mock.scenario()
+        .waitForTake(someActionType)
+        .dispatch(someAction)
+        .waitForPut('started')
+        .dispatch(otherAction)
+        .waitForCall(api)
+        .waitForPut({ type: 'done' })
+        .run()
+        .then(() => done)
+        .then(({ dispatched }) => assert.deepEqual(_.map(dispatched, 'type'), [
+          someActionType, 'started', otherActionType, 'done'
+        ]))
+    })
+
+    it('should dispatch to the given store', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 1)
+      const sagaMiddleware = createSagaMiddleware()
+      const store = createStore(() => ({}), applyMiddleware(sagaMiddleware))
+      sagaMiddleware.run(mock)
+      return mock.scenario(store)
+        .dispatch(someAction)
+        .waitForPut('started')
+        .dispatch(otherAction)
+        .waitForMatch(matchers.putAction('done'))
+        .run()
+    })
+
+    it('should fail naming the step that did not happen', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 1)
+      mock.run()
+      return mock.scenario(null, { timeout: 20 })
+        .dispatch(someAction)
+        .waitForPut('started')
+        .waitForCall(api)
+        .run()
+        .then(
+          () => assert.fail('the scenario should fail'),
+          (error) => {
+            assert.include(error.message, 'step 3 waitForCall(api)')
+            assert.include(error.message, 'within 20ms')
+          }
+        )
+    })
+
+    it('should wait for the watcher forked by a generator object', () => {
+      const login = user => new Promise(resolve => setTimeout(() => resolve(`${user} token`), 10))
+      const loginWorker = function * loginWorker ({ user }) {
+        const token = yield effects.call(login, user)
+        yield effects.put({ type: 'LOGIN_OK', token })
+      }
+      const watcher = function * watcher () {
+        while (true) {
+          const action = yield effects.take('LOGIN')
+          yield effects.fork(loginWorker, action)
+        }
+      }
+      const root = function * root () {
+        yield effects.fork(watcher)
+      }
+      const mock = mockSaga(root())
+      mock.run()
+      return mock.scenario()
+        .dispatch({ type: 'LOGIN', user: 'john' })
+        .waitForPut('LOGIN_OK')
+        .run()
+        .then(() => assert.deepEqual(mock.query().putAction('LOGIN_OK').effects, [
+          effects.put({ type: 'LOGIN_OK', token: 'john token' })
+        ]))
+    })
+
+    it('should require a store when the saga is not started with run()', () => {
+      return mockSaga(saga).scenario().dispatch(someAction).run().then(
+        () => assert.fail('the scenario should fail'),
+        (error) => assert.include(error.message, 'a store is required')
+      )
+    })
+  })
+
+  describe('fake time', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * () {
+      const { response } = yield effects.race({ response: effects.call(api), timeout: effects.call(delay, 5000) })
+      return response ? 'response' : 'timeout'
+    }
+    const never = () => new Promise(() => {})
+
+    it('should resolve the delays when the clock is advanced', () => {
+      const mock = mockSaga(saga, { fakeTime: true }).stubCall(api, never)
+      let result
+      mock.run().then(r => { result = r.result })
+      return mock.tick(4999)
+        .then((now) => {
+          assert.equal(now, 4999)
+          assert.isUndefined(result)
+          return mock.tick(1)
+        })
+        .then((now) => {
+          assert.equal(now, 5000)
+          assert.equal(result, 'timeout')
+        })
+    })
+
+    it('should cancel the delay losing a race', () => {
+      const mock = mockSaga(saga, { fakeTime: true }).stubCall(api, () => Promise.resolve('data'))
+      const done = mock.run()
+      return mock.runAllTimers()
+        .then(now => assert.equal(now, 0))
+        .then(() => done)
+        .then(({ result }) => assert.equal(result, 'response'))
+    })
+
+    it('should run all the timers in order', () => {
+      const poll = function * () {
+        for (let i = 0; i < 3; i++) {
+          yield effects.call(delay, 1000)
+          yield effects.put({ type: 'poll', i })
+        }
+        const { late } = yield effects.race({ early: effects.call(delay, 100), late: effects.call(delay, 200) })
+        return late
+      }
+      const mock = mockSaga(poll, { fakeTime: true })
+      const done = mock.run()
+      return mock.runAllTimers()
+        .then(now => assert.equal(now, 3100))
+        .then(() => done)
+        .then(({ result, dispatched }) => {
+          assert.isUndefined(result)
+          assert.deepEqual(_.map(dispatched, 'i'), [ 0, 1, 2 ])
+        })
+    })
+
+    it('should allow the delays in strict mode', () => {
+      const mock = mockSaga(saga, { fakeTime: true, strict: true }).stubCall(api, never)
+      const done = mock.run()
+      return mock.tick(5000)
+        .then(() => done)
+        .then(({ result }) => assert.equal(result, 'timeout'))
+    })
+
+    it('should throw if the fake time is not enabled', () => {
+      assert.throws(() => mockSaga(saga).tick(1000), 'fakeTime option')
+    })
+
+    it('should not virtualize the promises returned by delay() on redux-saga 0.x', () => {
+      const promised = function * () {
+        const { timeout } = yield effects.race({ response: effects.call(api), timeout: delay(30) })
+        return timeout ? 'timeout' : 'response'
+      }
+      const mock = mockSaga(promised, { fakeTime: true }).stubCall(api, never)
+      let result
+      const done = mock.run().then(r => { result = r.result })
+      return mock.tick(30)
+        .then(() => {
+          assert.isUndefined(result)
+          assert.equal(mock.query().toString().split('\n')[2], '     timeout: promise')
+          return done
+        })
+        .then(() => assert.equal(result, 'timeout'))
+    })
+  })
+
+  describe('driver', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * (by) {
+      try {
+        const { arg } = yield effects.take(someActionType)
+        const value = yield effects.call(api, arg)
+        yield effects.put({ type: 'result', value: value * by })
+        return value
+      } catch (error) {
+        yield effects.put({ type: 'error', message: error.message })
+      } finally {
+        if (yield effects.cancelled()) yield effects.put({ type: 'cancelled' })
+      }
+    }
+
+    it('should return the effects after the stubs are applied', () => {
+      const stub = () => 5
+      const d = mockSaga(saga).stubCall(api, stub).driver(2)
+      assert.deepEqual(d.next(), effects.take(someActionType))
+      assert.deepEqual(d.next(), effects.take(someActionType))
+      assert.deepEqual(d.resolve({ type: someActionType, arg: 1 }), effects.call(stub, 1))
+      assert.deepEqual(d.resolve(5), effects.put({ type: 'result', value: 10 }))
+      assert.deepEqual(d.resolve(), effects.cancelled())
+      assert.isFalse(d.done)
+      assert.isUndefined(d.resolve(false))
+      assert.isTrue(d.done)
+      assert.equal(d.result, 5)
+    })
+
+    it('should return the sub-sagas as they are', () => {
+      const child = function * child () {
+        yield effects.put({ type: 'child' })
+      }
+      const parent = function * () {
+        yield effects.call(child, 1)
+        yield effects.fork(child)
+        yield [ effects.call(child), effects.call(api) ]
+        yield effects.call(api)
+      }
+      const mock = mockSaga(parent, { strict: true, fakeTime: true })
+      const d = mock.driver()
+      assert.deepEqual(d.next(), effects.call(child, 1))
+      assert.deepEqual(d.resolve(), effects.fork(child))
+      assert.deepEqual(d.resolve({}), [ effects.call(child), effects.call(api) ])
+      assert.deepEqual(d.resolve([]), effects.call(api))
+      assert.isUndefined(d.resolve())
+      assert.isFalse(mock.query().putAction('child').isPresent)
+    })
+
+    it('should feed the log and the listeners', () => {
+      const mock = mockSaga(saga)
+      const puts = []
+      mock.onPutAction('result', effect => puts.push(effect))
+      const d = mock.driver(3)
+      d.next()
+      d.resolve({ type: someActionType, arg: 1 })
+      d.resolve(7)
+      assert.lengthOf(puts, 1)
+      assert.deepEqual(mock.query().call(api).results, [ 7 ])
+      assert.isTrue(mock.query().takeAction(someActionType).followedBy.putAction('result').isPresent)
+    })
+
+    it('should throw the error into the saga', () => {
+      const d = mockSaga(saga).driver(1)
+      d.next()
+      d.resolve({ type: someActionType, arg: 1 })
+      assert.deepEqual(d.throw(new Error('test')), effects.put({ type: 'error', message: 'test' }))
+    })
+
+    it('should throw the errors not handled by the saga', () => {
+      const failing = function * () {
+        yield effects.take(someActionType)
+      }
+      const d = mockSaga(failing).driver()
+      d.next()
+      assert.throws(() => d.throw(new Error('unhandled')), 'unhandled')
+      assert.isTrue(d.done)
+    })
+
+    it('should run the finally blocks of the cancelled saga', () => {
+      const mock = mockSaga(saga)
+      const d = mock.driver(1)
+      d.next()
+      assert.deepEqual(d.cancel(), effects.cancelled())
+      assert.deepEqual(d.resolve(true), effects.put({ type: 'cancelled' }))
+      assert.isUndefined(d.resolve())
+      assert.isTrue(d.done)
+      assert.isTrue(mock.query().cancelled().followedBy.putAction('cancelled').isPresent)
+    })
+  })
+
+  describe('throwOn', () => {
+    const getValue = state => state.value
+    const saga = function * () {
+      const errors = []
+      for (let i = 0; i < 3; i++) {
+        try {
+          yield effects.take(someActionType)
+          yield effects.select(getValue)
+          yield effects.put({ type: 'done', i })
+        } catch (error) {
+          errors.push(`${i}: ${error.message}`)
+        }
+      }
+      return errors
+    }
+    const actions = [ someAction, someAction, someAction ]
+
+    it('should throw the error at every matching effect', () => {
+      const mock = mockSaga(saga).throwOn(matchers.takeAction(someActionType), new Error('take'))
+      return mock.run({ actions }).then(({ result }) => {
+        assert.deepEqual(result, [ '0: take', '1: take', '2: take' ])
+        assert.deepEqual(mock.query().takeAction(someActionType).statuses, [ 'rejected', 'rejected', 'rejected' ])
+      })
+    })
+
+    it('should throw the error only at the nth matching effect', () => {
+      const mock = mockSaga(saga)
+        .throwOnPutAction('done', new Error('put'), 2)
+        .throwOnTake(someActionType, new Error('take'), 3)
+      return mock.run({ state: { value: 1 }, actions }).then(({ result, dispatched }) => {
+        assert.deepEqual(result, [ '1: put', '2: take' ])
+        assert.deepEqual(_.map(_.filter(dispatched, { type: 'done' }), 'i'), [ 0 ])
+      })
+    })
+
+    it('should throw the error at a select', () => {
+      const mock = mockSaga(saga).throwOnSelect(getValue, new Error('select'), 1)
+      const d = mock.driver()
+      d.next()
+      assert.deepEqual(d.resolve(someAction), effects.take(someActionType))
+      assert.deepEqual(mock.query().select(getValue).errors, [ new Error('select') ])
+    })
+
+    it('should throw the error at an effect equal to the given one', () => {
+      const mock = mockSaga(saga).throwOn(effects.put({ type: 'done', i: 0 }), new Error('put'))
+      return mock.run({ state: { value: 1 }, actions }).then(({ result }) => assert.deepEqual(result, [ '0: put' ]))
+    })
+
+    it('should be reported by verify when the nth effect is not reached', () => {
+      const mock = mockSaga(saga).throwOnTake(someActionType, new Error('take'), 4)
+      return mock.run({ actions }).then(() => {
+        assert.throws(() => mock.verify(), 'unused stub: throwOnTake')
+      })
+    })
+  })
+
+  describe('argument matchers and captors', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * () {
+      const id = `id-${Math.random()}`
+      yield effects.call(api, id, { ts: Date.now(), retries: 3 })
+      yield effects.race({ save: effects.call(api, 'save', id), timeout: effects.take(someActionType) })
+      yield effects.put({ type: 'saved', payload: { id, at: new Date() } })
+    }
+
+    it('should capture the arguments of the calls', () => {
+      const c = captor()
+      const mock = mockSaga(saga)
+        .stubCall(api, () => 'ok')
+        .onCallWithArgs(api, [ c, objectContaining({ retries: 3 }) ], () => {})
+      return mock.run().then(() => {
+        assert.lengthOf(c.values, 1)
+        assert.match(c.value, /^id-/)
+        assert.isTrue(mock.query().callWithArgs(api, 'save', c.value).isPresent)
+        assert.isTrue(mock.query().putAction({ type: 'saved', payload: { id: c.value, at: any(Date) } }).isPresent)
+      })
+    })
+
+    it('should match the calls and the puts with the argument matchers', () => {
+      const mock = mockSaga(saga)
+        .stubCallWithExactArgs(api, [ any(String), anything() ], () => 'first')
+        .stubCallWithArgs(api, [ 'save' ], () => 'second')
+      return mock.run().then(() => {
+        assert.deepEqual(mock.query().call(api).results, [ 'first', { save: 'second' } ])
+        assert.equal(mock.query().callWithExactArgs(api, any(String), objectContaining({ ts: any(Number) })).count, 1)
+        assert.isTrue(mock.query().putAction({ type: 'saved', payload: objectContaining({ id: any(String) }) }).isPresent)
+        assert.isTrue(mock.query().putAction({ type: 'saved', payload: anything() }).isPresent)
+        assert.isTrue(mock.query().putAction({ type: 'saved', payload: { id: any(Number) } }).notPresent)
+      })
+    })
+
+    it('should return the arguments of the matching calls', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 'ok')
+      return mock.run().then(() => {
+        const args = mock.query().call(api).args()
+        assert.lengthOf(args, 2)
+        assert.equal(args[1][0], 'save')
+        assert.equal(args[1][1], args[0][0])
+        assert.deepEqual(mock.query().call(api).last().args(), [ args[1] ])
+        assert.deepEqual(mock.query().putAction('saved').args(), [ undefined ])
+      })
+    })
+
+    it('should describe the argument matchers', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 'ok')
+      mock.expectCallWithArgs(api, [ any(Number) ])
+      return mock.run().then(() => assert.throws(() => mock.verify(), 'expectCallWithArgs(api, ["any(Number)"])'))
+    })
+  })
+
+  describe('action patterns', () => {
+    const saga = function * () {
+      const first = yield effects.take([ 'LOGIN', 'LOGOUT' ])
+      const second = yield effects.take(action => action.type.startsWith('USER_'))
+      yield effects.take('*')
+      yield effects.put({ type: 'USER_SAVED', payload: { id: first.id, name: second.name, at: 1 } })
+    }
+    const actions = [ { type: 'LOGIN', id: 1 }, { type: 'USER_UPDATE', name: 'name' }, { type: 'ANY' } ]
+
+    it('should match the takes receiving the actions', () => {
+      const mock = mockSaga(saga)
+      return mock.run({ actions }).then(() => {
+        assert.equal(mock.query().takeAction('LOGOUT').count, 2)
+        assert.equal(mock.query().takeAction('USER_UPDATE').count, 2)
+        assert.equal(mock.query().takeAction({ type: 'OTHER' }).count, 1)
+        assert.deepEqual(mock.query().takeAction('LOGIN').results, [
+          { type: 'LOGIN', id: 1 }, { type: 'ANY' }
+        ])
+      })
+    })
+
+    it('should stub the takes receiving the actions', () => {
+      const mock = mockSaga(saga).stubTake('LOGIN', { type: 'LOGIN', id: 7 })
+      return mock.run({ actions: [ { type: 'USER_UPDATE', name: 'name' } ] }).then(({ dispatched }) => {
+        assert.deepEqual(_.last(dispatched).payload, { id: 7, name: 'name', at: 1 })
+        // the take of '*' receives the stubbed action too
+        assert.deepEqual(mock.query().takeAction('*').results, [ { type: 'LOGIN', id: 7 } ])
+      })
+    })
+
+    it('should match the puts partially and by regular expression', () => {
+      const mock = mockSaga(saga)
+      return mock.run({ actions }).then(() => {
+        assert.isTrue(mock.query().putAction(/^USER_/).isPresent)
+        assert.isTrue(mock.query().putActionMatching({ type: 'USER_SAVED', payload: { id: 1 } }).isPresent)
+        assert.isTrue(mock.query().putActionMatching({ type: /SAVED$/, payload: { name: 'name' } }).isPresent)
+        assert.isTrue(mock.query().putActionMatching({ type: /SAVED$/, payload: { id: 2 } }).notPresent)
+        assert.isTrue(mock.query().where(matchers.putActionMatching({ payload: { at: any(Number) } })).isPresent)
+      })
+    })
+  })
+
+  describe('listener control', () => {
+    const saga = function * () {
+      yield 'test'
+      yield effects.put(someAction)
+      yield effects.put(someAction)
+      yield effects.put(someAction)
+    }
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - limiting the calls`, () => {
+        const calls = { times: 0, once: 0 }
+        const mock = mockSaga(toTest)
+          .onPutAction(someActionType, () => calls.times++, { times: 2 })
+          .onYieldPutAction(someAction, () => calls.once++, { once: true })
+        return runTest(mock).done.then(() => assert.deepEqual(calls, { times: 2, once: 1 }))
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - removing the listener with its handle`, () => {
+        const mock = mockSaga(toTest)
+        const handle = mock.listen(matchers.putAction(someActionType), () => {
+          if (handle.callCount === 2) handle.off()
+        })
+        assert.isTrue(handle.active)
+        return runTest(mock).done.then(() => {
+          assert.equal(handle.callCount, 2)
+          assert.isFalse(handle.active)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - returning the handle of a listener method`, () => {
+        const mock = mockSaga(toTest)
+        const handle = mock.onPutAction(someActionType, () => {
+          if (handle.callCount === 1) handle.off()
+        }, { handle: true })
+        const lifecycle = mock.onDone(() => {}, { handle: true })
+        assert.isTrue(handle.active)
+        return runTest(mock).done.then(() => {
+          assert.equal(handle.callCount, 1)
+          assert.isFalse(handle.active)
+          assert.equal(lifecycle.callCount, name === 'array' ? toTest.length : 1)
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - clearing the listeners`, () => {
+        let called = false
+        const mock = mockSaga(toTest).onPutAction(someActionType, () => { called = true })
+        mock.onYieldPutAction(otherActionType)
+        mock.clearListeners()
+        return runTest(mock).done.then(() => {
+          assert.isFalse(called)
+          mock.verify()
+        })
+      })
+    })
+    _.forEach(buildTests(saga), (toTest, name) => {
+      it(`on ${name} - removing a pending promise listener`, () => {
+        const mock = mockSaga(toTest)
+        mock.onPutAction(otherActionType).off()
+        return runTest(mock).done.then(() => mock.verify())
+      })
+    })
+
+    it('should share the limits of the listeners among the sagas of an array', () => {
+      const mock = mockSaga([ saga(), saga() ])
+      const calls = { times: 0, handle: 0 }
+      const once = mock.listen(matchers.putAction(someActionType), () => {}, { once: true })
+      assert.strictEqual(mock.onPutAction(someActionType, () => calls.times++, { times: 4 }), mock)
+      const handle = mock.onYieldPutAction(someAction, () => calls.handle++, { handle: true })
+      return runTest(mock).done.then(() => {
+        assert.equal(once.callCount, 1)
+        assert.isFalse(once.active)
+        assert.deepEqual(calls, { times: 4, handle: 6 })
+        assert.equal(handle.callCount, 6)
+        handle.off()
+        assert.isFalse(handle.active)
+      })
+    })
+
+    it('should call the resolved listeners after the effect is resolved', () => {
+      const mock = mockSaga(saga)
+      const data = []
+      const handle = mock.listen(matchers.putAction(someActionType), ({ effect, data: result }) => data.push(result),
+        { resolved: true, times: 1 })
+      return runTest(mock).done.then(() => {
+        assert.deepEqual(data, [ someAction ])
+        assert.isFalse(handle.active)
+      })
+    })
+  })
+
+  describe('waitFor', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const saga = function * () {
+      const { arg } = yield effects.take(someActionType)
+      const result = yield effects.call(api, arg)
+      if (result === 'fail') throw new Error('boom')
+      yield effects.put({ type: 'done', result })
+    }
+
+    it('should resolve with the matching effect', () => {
+      const mock = mockSaga(saga).stubCall(api, arg => arg * 2)
+      const promise = mock.waitForPutAction('done')
+      mock.run({ actions: [ someAction ] })
+      return promise.then(effect => assert.deepEqual(effect, effects.put({ type: 'done', result: 2 })))
+    })
+
+    it('should reject after the timeout listing the recorded and the blocking effects', () => {
+      const mock = mockSaga(saga)
+      mock.run()
+      return mock.waitForCall(api, 20).then(
+        () => assert.fail('the promise should be rejected'),
+        (error) => {
+          assert.equal(error.message, [
+            'waitForCall(api) failed: the effect did not happen within 20ms',
+            'recorded effects:',
+            '  1. take("SOME_ACTION_TYPE") (pending)',
+            'blocked on:',
+            '  - take("SOME_ACTION_TYPE")'
+          ].join('\n'))
+          assert.deepEqual(error.effects, [ effects.take(someActionType) ])
+          assert.deepEqual(error.blockingEffects, [ effects.take(someActionType) ])
+        }
+      )
+    })
+
+    it('should reject when the saga terminates first', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 1)
+      const promise = mock.waitForPutAction('never', 5000)
+      mock.run({ actions: [ someAction ] })
+      return promise.then(
+        () => assert.fail('the promise should be rejected'),
+        (error) => {
+          assert.include(error.message, 'waitForPutAction("never") failed: the saga terminated')
+          assert.include(error.message, '3. put({"type":"done","result":1}) (resolved)')
+          assert.include(error.message, 'blocked on:\n  nothing')
+        }
+      )
+    })
+
+    it('should reject when the saga throws first', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 'fail')
+      const promise = mock.waitForPutAction('done', 5000)
+      mock.run({ actions: [ someAction ] }).catch(() => {})
+      return promise.then(
+        () => assert.fail('the promise should be rejected'),
+        (error) => assert.include(error.message, 'failed: the saga threw boom')
+      )
+    })
+
+    it('should reject immediately when the generator object is already terminated', () => {
+      const mock = mockSaga(saga()).stubCall(api, () => 1)
+      return mock.run({ actions: [ someAction ] })
+        .then(() => mock.waitForCallWithArgs(api, [ 1 ], 5000))
+        .then(
+          () => assert.fail('the promise should be rejected'),
+          (error) => assert.include(error.message, 'waitForCallWithArgs(api, [1]) failed: the saga terminated')
+        )
+    })
+
+    it('should wait for the next run of a terminated generator function', () => {
+      const mock = mockSaga(saga).stubCall(api, arg => arg * 2)
+      return mock.run({ actions: [ someAction ] })
+        .then(() => {
+          const promise = mock.waitForPutAction('done', 5000)
+          mock.run({ actions: [ { type: someActionType, arg: 2 } ] })
+          return promise
+        })
+        .then(effect => assert.deepEqual(effect, effects.put({ type: 'done', result: 4 })))
+        .then(() => {
+          const promise = mock.waitForPutAction('never', 5000)
+          mock.run({ actions: [ someAction ] })
+          return promise
+        })
+        .then(
+          () => assert.fail('the promise should be rejected'),
+          (error) => assert.include(error.message, 'waitForPutAction("never") failed: the saga terminated')
+        )
+    })
+
+    describe('should wait for the sub-sagas still running after the mocked saga returns', () => {
+      const worker = function * worker () {
+        const { arg } = yield effects.take(someActionType)
+        const result = yield effects.call(api, arg)
+        yield effects.put({ type: 'done', result })
+      }
+      const root = function * root () {
+        yield effects.fork(worker)
+      }
+      const spawner = function * spawner () {
+        yield effects.spawn(worker)
+      }
+      const slowApi = arg => new Promise(resolve => setTimeout(() => resolve(arg), 10))
+
+      it('on a generator object', () => {
+        const mock = mockSaga(root()).stubCall(api, slowApi)
+        mock.run({ actions: [ someAction ] })
+        assert.equal(mock.describeState(), '  worker (1) waiting for call(api, 1)')
+        return mock.waitForPutAction('done')
+          .then(effect => assert.deepEqual(effect, effects.put({ type: 'done', result: 1 })))
+      })
+
+      it('on a wait registered before run()', () => {
+        const mock = mockSaga(root).stubCall(api, slowApi)
+        const promise = mock.waitForPutAction('done')
+        mock.run({ actions: [ someAction ] })
+        return promise.then(effect => assert.deepEqual(effect, effects.put({ type: 'done', result: 1 })))
+      })
+
+      it('rejecting when the sub-sagas terminate first', () => {
+        const mock = mockSaga(root()).stubCall(api, slowApi)
+        const promise = mock.waitForPutAction('never', 5000)
+        mock.run({ actions: [ someAction ] })
+        return promise.then(
+          () => assert.fail('the promise should be rejected'),
+          (error) => assert.include(error.message, 'failed: the saga terminated')
+        )
+      })
+
+      it('not waiting for the spawned sagas', () => {
+        const mock = mockSaga(spawner()).stubCall(api, slowApi)
+        mock.run()
+        return mock.waitForPutAction('done', 5000).then(
+          () => assert.fail('the promise should be rejected'),
+          (error) => assert.include(error.message, 'failed: the saga terminated')
+        )
+      })
+    })
+
+    it('should wait for the effect of any saga of an array', () => {
+      const mock = mockSaga([ saga(), saga() ]).stubCall(api, () => 1)
+      const resolved = mock.waitForPutAction('done', 5000)
+      const rejected = mock.waitForPutAction('never', 5000)
+      runTest(mock)
+      store.dispatch(someAction)
+      return resolved
+        .then(() => rejected)
+        .then(
+          () => assert.fail('the promise should be rejected'),
+          (error) => assert.include(error.message, 'waitForPutAction failed on all the sagas')
+        )
+    })
+  })
+
+  describe('pending effects', () => {
+    const api = () => { throw new Error('api() should not be called') }
+    const worker = function * worker () {
+      yield effects.take(someActionType)
+    }
+    const parent = function * parent () {
+      yield effects.fork(worker)
+      yield effects.call(api)
+    }
+    const never = () => new Promise(() => {})
+
+    it('should report the effects the running sagas are waiting for', () => {
+      const mock = mockSaga(parent).stubCall(api, never)
+      assert.deepEqual(mock.pending(), [])
+      assert.equal(mock.describeState(), 'the saga is not running')
+      mock.run()
+      assert.deepEqual(_.map(mock.pending(), 'effect'), [ effects.call(api), effects.take(someActionType) ])
+      assert.deepEqual(_.map(mock.pending(), 'origin.name'), [ 'parent', 'worker' ])
+      assert.equal(mock.describeState(), [
+        'parent (0) waiting for call(api)',
+        '  worker (1) waiting for take("SOME_ACTION_TYPE")'
+      ].join('\n'))
+    })
+
+    it('should report the termination of the saga', () => {
+      const mock = mockSaga(parent).stubCall(api, () => 1)
+      return mock.run({ actions: [ someAction ] }).then(() => {
+        assert.deepEqual(mock.pending(), [])
+        assert.equal(mock.describeState(), 'the saga terminated')
+      })
+    })
+
+    it('should report the effect of the manual driver', () => {
+      const mock = mockSaga(worker)
+      const d = mock.driver()
+      d.next()
+      assert.equal(mock.describeState(), 'worker (0) waiting for take("SOME_ACTION_TYPE")')
+      d.cancel()
+      assert.equal(mock.describeState(), 'the saga was cancelled')
+    })
+
+    it('should report the state of the sagas of an array', () => {
+      const mock = mockSaga([ worker(), parent() ]).stubCall(api, never)
+      runTest(mock)
+      assert.lengthOf(mock.pending(), 3)
+      assert.equal(mock.describeState(), [
+        'saga 1:',
+        '  anonymous saga (0) waiting for take("SOME_ACTION_TYPE")',
+        'saga 2:',
+        '  anonymous saga (0) waiting for call(api)',
+        '    worker (1) waiting for take("SOME_ACTION_TYPE")'
+      ].join('\n'))
+    })
+  })
+
+  describe('printing the effects', () => {
+    const api = () => 0
+    const worker = function * worker () {
+      yield effects.put(otherAction)
+    }
+    const saga = function * () {
+      yield effects.call(api, 1)
+      yield effects.race({ action: effects.take(someActionType), timeout: effects.call(api, 2) })
+      yield [ effects.call(worker), effects.select(state => state) ]
+    }
+    const silently = (fn) => {
+      const log = console.log
+      const printed = []
+      console.log = (...args) => printed.push(args)
+      try {
+        return { returned: fn(), printed }
+      } finally {
+        console.log = log
+      }
+    }
+
+    it('should print the log as a timeline', () => {
+      const mock = mockSaga(saga).stubCallWithArgs(api, [ 1 ], () => 5)
+      return mock.run().then(() => {
+        const { returned, printed } = silently(() => mock.printEffects())
+        assert.equal(returned, [
+          '1. call(api, 1) -> 5 [stub]',
+          '2. race -> {"timeout":0} [real]',
+          '     action: take("SOME_ACTION_TYPE")',
+          '     timeout: call(api, 2)',
+          '3. parallel -> [null,null] [real]',
+          '     call(worker)',
+          '     select(anonymous function)',
+          '4.   worker: put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]',
+          '5.   worker: sagaDone(worker)',
+          '6. sagaDone(saga)'
+        ].join('\n'))
+        assert.deepEqual(printed, [ [ returned ] ])
+      })
+    })
+
+    it('should render the effects of a query', () => {
+      const mock = mockSaga(saga).stubCallWithArgs(api, [ 1 ], () => 5)
+      return mock.run().then(() => {
+        assert.equal(mock.query().call(api).toString(), [
+          '1. call(api, 1) -> 5 [stub]',
+          '2. race -> {"timeout":0} [real]',
+          '     action: take("SOME_ACTION_TYPE")',
+          '     timeout: call(api, 2)'
+        ].join('\n'))
+        assert.equal(String(mock.query().takeAction('NONE')), 'no effects')
+      })
+    })
+
+    it('should mark the takes left to the middleware by an exhausted sequence as real', () => {
+      const watcher = function * watcher () {
+        while (true) yield effects.take(someActionType)
+      }
+      const mock = mockSaga(watcher).stubTakeSequence(someActionType, [ someAction2 ])
+      mock.run()
+      assert.equal(mock.query().toString(), [
+        '1. take("SOME_ACTION_TYPE") -> {"type":"SOME_ACTION_TYPE","arg":2} [stub]',
+        '2. take("SOME_ACTION_TYPE") (pending) [real]'
+      ].join('\n'))
+      mock.verify()
+    })
+
+    it('should render the effects of a query on an array by saga', () => {
+      const other = function * () {
+        yield effects.take(someActionType)
+      }
+      const mock = mockSaga([ other(), worker(), worker() ])
+      runTest(mock)
+      assert.equal(mock.query().putAction(otherActionType).toString(), [
+        'saga 2:',
+        '  1. put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]',
+        'saga 3:',
+        '  1. put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]'
+      ].join('\n'))
+      assert.equal(mock.query().putAction(otherActionType).first().toString(), [
+        'saga 2:',
+        '  1. put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]'
+      ].join('\n'))
+      assert.equal(mock.query().putAction('NONE').toString(), 'no effects')
+    })
+
+    it('should print the log of the sagas of an array', () => {
+      const mock = mockSaga([ worker(), worker() ])
+      runTest(mock)
+      const { returned } = silently(() => mock.printEffects())
+      assert.equal(returned, [
+        'saga 1:',
+        '  1. put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]',
+        '  2. sagaDone(anonymous saga)',
+        'saga 2:',
+        '  1. put({"type":"OTHER_ACTION_TYPE"}) -> {"type":"OTHER_ACTION_TYPE"} [real]',
+        '  2. sagaDone(anonymous saga)'
+      ].join('\n'))
+    })
+  })
+
+  describe('snapshots', () => {
+    const api = () => 0
+    const selectUser = state => state.user
+    const worker = function * worker (user) {
+      yield effects.put({ type: 'saved', user })
+    }
+    const saga = function * saga () {
+      const user = yield effects.select(selectUser)
+      yield effects.call(api, user)
+      yield effects.fork(worker, user)
+    }
+    const snapshotDir = path.join(os.tmpdir(), `redux-saga-mock-${process.pid}`)
+    const snapshotFile = path.join(snapshotDir, 'nested', 'saga.json')
+    const removeSnapshot = () => {
+      if (fs.existsSync(snapshotFile)) fs.unlinkSync(snapshotFile)
+    }
+    beforeEach(removeSnapshot)
+    after(() => {
+      removeSnapshot()
+      if (fs.existsSync(path.dirname(snapshotFile))) fs.rmdirSync(path.dirname(snapshotFile))
+      if (fs.existsSync(snapshotDir)) fs.rmdirSync(snapshotDir)
+    })
+
+    it('should serialize the effects', () => {
+      const mock = mockSaga(saga).stubCall(api, () => 1)
+      return mock.run({ state: { user: 'john' } }).then(() => {
+        assert.deepEqual(JSON.parse(mock.serializeEffects()), [
+          { saga: 'saga', depth: 0, effect: { type: 'SELECT', selector: '<selector>', args: [] }, status: 'resolved', result: 'john' },
+          { saga: 'saga', depth: 0, effect: { type: 'CALL', fn: 'api', args: [ 'john' ] }, status: 'resolved', result: 1, stubbed: true },
+          { saga: 'saga', depth: 0, effect: { type: 'FORK', fn: 'worker', args: [ 'john' ] }, status: 'resolved', result: '<task>' },
+          { saga: 'worker', depth: 1, effect: { type: 'PUT', action: { type: 'saved', user: 'john' } }, status: 'resolved', result: { type: 'saved', user: 'john' } },
+          { saga: 'saga', depth: 0, effect: { type: 'LIFECYCLE', event: 'done' }, status: 'resolved' },
+          { saga: 'worker', depth: 1, effect: { type: 'LIFECYCLE', event: 'done' }, status: 'resolved' }
+        ])
+      })
+    })
+
+    it('should serialize the circular references', () => {
+      const circular = { name: 'root', children: [] }
+      circular.children.push({ parent: circular })
+      const mock = mockSaga(saga).stubCall(api, () => circular)
+      return mock.run({ state: { user: 'john' } }).then(() => {
+        assert.deepEqual(JSON.parse(mock.serializeEffects())[1].result, { name: 'root', children: [ { parent: '<circular>' } ] })
+        mock.matchesSnapshot(snapshotFile)
+      })
+    })
+
+    it('should not mark as stubbed the takes left to the middleware', () => {
+      const watcher = function * watcher () {
+        yield effects.take('A')
+        yield effects.take('A')
+      }
+      const mock = mockSaga(watcher).stubTakeSequence('A', [ { type: 'A', n: 1 } ])
+      return mock.run({ actions: [ { type: 'A', n: 2 } ] }).then(() => {
+        assert.deepEqual(_.map(JSON.parse(mock.serializeEffects()), 'stubbed'), [ true, undefined, undefined ])
+      })
+    })
+
+    it('should serialize the errors', () => {
+      const mock = mockSaga(saga).throwOn(matchers.call(api), new Error('api failed'))
+      return mock.run({ state: { user: 'john' } }).catch(() => {
+        assert.deepEqual(_.map(JSON.parse(mock.serializeEffects()), 'error'), [ undefined, { error: 'api failed' }, { error: 'api failed' } ])
+      })
+    })
+
+    it('should write the snapshot on the first run and compare it afterwards', () => {
+      const first = mockSaga(saga)
+      const second = mockSaga(saga)
+      const changed = mockSaga(saga)
+      return Promise.all([
+        first.run({ state: { user: 'john' } }),
+        second.run({ state: { user: 'john' } }),
+        changed.run({ state: { user: 'jane' } })
+      ]).then(() => {
+        assert.strictEqual(first.matchesSnapshot(snapshotFile), first)
+        assert.equal(fs.readFileSync(snapshotFile, 'utf8'), `${first.serializeEffects()}\n`)
+        second.matchesSnapshot(snapshotFile)
+        try {
+          changed.matchesSnapshot(snapshotFile)
+        } catch (error) {
+          assert.equal(error.message.split('\n').slice(0, 5).join('\n'), [
+            `the effects do not match the snapshot ${snapshotFile}:`,
+            '  line 11:',
+            '  -     "result": "john"',
+            '  +     "result": "jane"',
+            '  line 20:'
+          ].join('\n'))
+          assert.equal(error.expected, fs.readFileSync(snapshotFile, 'utf8'))
+          assert.equal(error.actual, `${changed.serializeEffects()}\n`)
+          changed.matchesSnapshot(snapshotFile, { update: true })
+          second.matchesSnapshot(snapshotFile, { update: true })
+          return
+        }
+        assert.fail('matchesSnapshot() should throw')
+      })
+    })
+
+    it('should snapshot the sagas of an array', () => {
+      const mock = mockSaga([ worker('john'), worker('jane') ])
+      runTest(mock)
+      assert.deepEqual(_.map(JSON.parse(mock.serializeEffects()), sagaEffects => sagaEffects[0].result.user), [ 'john', 'jane' ])
+      assert.strictEqual(mock.matchesSnapshot(snapshotFile), mock)
+      assert.throws(() => mockSaga([ worker('jane') ]).matchesSnapshot(snapshotFile), 'do not match the snapshot')
+    })
+  })
+
+  describe('lifecycle', () => {
+    const worker = function * worker () {
+      yield effects.take(someActionType)
+    }
+    const child = function * child () {
+      yield effects.put(otherAction)
+      throw new Error('child failed')
+    }
+    const parent = function * parent () {
+      const task = yield effects.fork(worker)
+      try {
+        yield effects.call(child)
+      } catch (error) {
+        yield effects.put({ type: 'recovered' })
+      }
+      yield effects.cancel(task)
+      return 'parent result'
+    }
+
+    it('should notify the termination of the mocked saga', () => {
+      const events = []
+      const mock = mockSaga(parent)
+        .onDone(event => events.push(event))
+        .onError(event => events.push(event))
+      const done = mock.onDone()
+      return mock.run()
+        .then(() => done)
+        .then((event) => {
+          assert.lengthOf(events, 1)
+          assert.strictEqual(events[0], event)
+          assert.equal(event.type, 'done')
+          assert.equal(event.result, 'parent result')
+          assert.equal(event.origin.name, 'parent')
+        })
+    })
+
+    it('should notify the lifecycle of the sub-sagas', () => {
+      const mock = mockSaga(parent)
+      const errors = []
+      mock.onError(child, event => errors.push(event.error.message))
+      const cancelled = mock.onCancel('worker')
+      return mock.run()
+        .then(() => cancelled)
+        .then((event) => {
+          assert.equal(event.origin.name, 'worker')
+          assert.deepEqual(errors, [ 'child failed' ])
+        })
+    })
+
+    it('should record the lifecycle events in the log', () => {
+      const mock = mockSaga(parent)
+      return mock.run().then(() => {
+        const query = mock.query()
+        assert.isTrue(query.putAction('recovered').followedBy.sagaCancelled(worker).isPresent)
+        assert.isTrue(query.sagaCancelled(worker).followedBy.sagaDone('parent').isPresent)
+        assert.isTrue(query.putAction(otherAction).followedBy.sagaError(child).precededBy.putAction('recovered').notPresent)
+        assert.deepEqual(_.map(query.sagaError().errors, 'message'), [ 'child failed' ])
+        assert.deepEqual(query.sagaDone().results, [ 'parent result' ])
+        assert.deepEqual(query.fromSaga(worker).takeAction(someActionType).statuses, [ 'cancelled' ])
+        assert.deepEqual(query.fromSaga(worker).sagaCancelled().statuses, [ 'cancelled' ])
+      })
+    })
+
+    it('should notify the cancellation of the mocked saga', () => {
+      const mock = mockSaga(worker)
+      let cancelled = false
+      mock.onCancel(() => { cancelled = true })
+      const d = mock.driver()
+      d.next()
+      d.cancel()
+      assert.isTrue(cancelled)
+      assert.isTrue(mock.query().sagaCancelled().isPresent)
+    })
+
+    it('should notify the error of the mocked saga', () => {
+      const mock = mockSaga(child)
+      const error = mock.onError()
+      mock.run().catch(() => {})
+      return error.then(event => assert.equal(event.error.message, 'child failed'))
+    })
+
+    it('should report the pending lifecycle listeners', () => {
+      const mock = mockSaga(parent)
+      mock.onCancel()
+      return mock.run().then(() => assert.throws(() => mock.verify(), 'pending listener: onCancel()'))
+    })
+  })
+
+  describe('cancellation', () => {
+    it('should be forwarded to the forked sagas', () => {
+      const worker = function * () {
+        try {
+          yield effects.take(someActionType)
+        } finally {
+          yield effects.put({ type: 'cleanup' })
+        }
+      }
+      const saga = function * () {
+        const task = yield effects.fork(worker)
+        yield effects.cancel(task)
+      }
+      const mock = mockSaga(saga)
+      return mock.run().then(({ dispatched }) => {
+        assert.deepEqual(dispatched, [ { type: 'cleanup' } ])
+        assert.isTrue(mock.query().fromSaga(worker).putAction('cleanup').isPresent)
       })
     })
   })
@@ -1,8 +1,22 @@
 import _ from 'lodash'
 import { expect, assert } from 'chai'
 import * as effects from 'redux-saga/effects'
-import mockSaga from '../src/mockSaga'
+import { delay, channel } from 'redux-saga'
+import { createMockTask } from 'redux-saga/utils'
+import mockSaga, { any, anything, objectContaining, captor } from '../src/mockSaga'
 
+// converts a redux-saga 0.x effect into the 1.x effect format
+function toV1 (effect) {
+  if (_.isArray(effect)) return effect.map(toV1)
+  if (!_.isObject(effect) || !effect['@@redux-saga/IO']) return effect
+  const type = _.keys(effect).find(key => key !== '@@redux-saga/IO')
+  const payload = type === 'RACE' ? _.mapValues(effect[type], toV1) : effect[type]
+  return { '@@redux-saga/IO': true, combinator: type === 'RACE', type, payload }
+}
+
+const ACTION_CREATOR = Object.assign(() => ({ type: 'TEST' }), { toString: () => 'TEST' })
+
+const v1All = (payload) => ({ '@@redux-saga/IO': true, combinator: true, type: 'ALL', payload })
 
 describe('unit tests', () => {
   describe('effects testers', () => {
@@ -29,19 +43,34 @@ describe('unit tests', () => {
           const expected = fnName === effectName
           assert.equal(actual, expected)
         })
+        it(`${fnName}() on redux-saga 1.x effect ${effectName}`, () => {
+          const actual = !!testFn(toV1(effect))
+          const expected = fnName === effectName
+          assert.equal(actual, expected)
+        })
       })
     })
+
+    it('isALL() on redux-saga 1.x all effect', () => {
+      const isALL = mockSaga.__get__('isALL')
+      assert.isTrue(!!isALL(v1All([toV1(effects.take('test'))])))
+      assert.isFalse(!!isALL(toV1(testEffects.isRACE)))
+    })
   })
 
   const matchers = mockSaga.__get__('matchers')
 
   const DUMMY_FN = () => {}
   const DUMMY_GEN_FN = function * () {}
+  const DUMMY_TASK = createMockTask()
 
   const matcherTestCases = {
     putAction: [
       { arg: 'TEST', effectToCheck: effects.put({ type: 'TEST' }), expected: true },
       { arg: 'TEST', effectToCheck: effects.put({ type: 'TEST', data: 'x' }), expected: true },
+      { arg: /^TE/, effectToCheck: effects.put({ type: 'TEST' }), expected: true },
+      { arg: /^TE/, effectToCheck: effects.put({ type: 'OTHER' }), expected: false },
+      { arg: /^TE/, effectToCheck: effects.take('TEST'), expected: false },
       { arg: 'TEST', effectToCheck: effects.put({ type: 'test' }), expected: false },
       { arg: 'TEST', effectToCheck: effects.take('TEST'), expected: false },
       { arg: 'TEST', effectToCheck: { type: 'TEST' }, expected: false },
@@ -57,7 +86,17 @@ describe('unit tests', () => {
       { arg: 'TEST', effectToCheck: effects.take('TEST'), expected: true },
       { arg: 'TEST', effectToCheck: effects.take('test'), expected: false },
       { arg: 'TEST', effectToCheck: effects.put({ type: 'TEST' }), expected: false },
-      { arg: 'TEST', effectToCheck: { type: 'TEST' }, expected: false }
+      { arg: 'TEST', effectToCheck: { type: 'TEST' }, expected: false },
+      { arg: 'TEST', effectToCheck: effects.take('*'), expected: true },
+      { arg: 'TEST', effectToCheck: effects.take([ 'OTHER', 'TEST' ]), expected: true },
+      { arg: 'TEST', effectToCheck: effects.take([ 'OTHER', 'test' ]), expected: false },
+      { arg: [ 'OTHER', 'TEST' ], effectToCheck: effects.take([ 'OTHER', 'TEST' ]), expected: false },
+      { arg: 'TEST', effectToCheck: effects.take(action => action.type.startsWith('TE')), expected: true },
+      { arg: 'TEST', effectToCheck: effects.take(action => action.payload.ok), expected: false },
+      { arg: { type: 'TEST', payload: { ok: true } }, effectToCheck: effects.take(action => action.payload.ok), expected: true },
+      { arg: 'TEST', effectToCheck: effects.take(ACTION_CREATOR), expected: true },
+      { arg: 'OTHER', effectToCheck: effects.take([ ACTION_CREATOR, 'OTHER' ]), expected: true },
+      { arg: DUMMY_FN, effectToCheck: effects.take(DUMMY_FN), expected: true }
     ],
     effect: [
       { arg: effects.take('TEST'), effectToCheck: effects.take('TEST'), expected: true },
@@ -89,6 +128,63 @@ describe('unit tests', () => {
       { args: [DUMMY_FN, [1]], effectToCheck: effects.call(() => {}, 1), expected: false },
       { args: [DUMMY_FN, [1]], effectToCheck: effects.take('test'), expected: false }
     ],
+    select: [
+      { args: [DUMMY_FN], effectToCheck: effects.select(DUMMY_FN), expected: true },
+      { args: [DUMMY_FN], effectToCheck: effects.select(DUMMY_FN, 1), expected: true },
+      { args: [DUMMY_FN, [1]], effectToCheck: effects.select(DUMMY_FN, 1), expected: true },
+      { args: [DUMMY_FN, [1]], effectToCheck: effects.select(DUMMY_FN, 1, 2), expected: false },
+      { args: [DUMMY_FN], effectToCheck: effects.select(() => {}), expected: false },
+      { args: [DUMMY_FN], effectToCheck: effects.call(DUMMY_FN), expected: false }
+    ],
+    and: [
+      { args: [matchers.call(DUMMY_FN), matchers.callWithArgs(DUMMY_FN, [1])], effectToCheck: effects.call(DUMMY_FN, 1), expected: true },
+      { args: [matchers.call(DUMMY_FN), matchers.callWithArgs(DUMMY_FN, [1])], effectToCheck: effects.call(DUMMY_FN, 2), expected: false },
+      { args: [matchers.call(DUMMY_FN), matchers.callWithArgs(DUMMY_FN, [1])], effectToCheck: effects.take('test'), expected: false }
+    ],
+    or: [
+      { args: [matchers.takeAction('test'), matchers.call(DUMMY_FN)], effectToCheck: effects.call(DUMMY_FN, 1), expected: true },
+      { args: [matchers.takeAction('test'), matchers.call(DUMMY_FN)], effectToCheck: effects.take('test'), expected: true },
+      { args: [matchers.takeAction('test'), matchers.call(DUMMY_FN)], effectToCheck: effects.put({ type: 'test' }), expected: false }
+    ],
+    fork: [
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.fork(DUMMY_GEN_FN), expected: true },
+      { args: [], effectToCheck: effects.fork(DUMMY_GEN_FN, 1), expected: true },
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.fork(DUMMY_FN), expected: false },
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.spawn(DUMMY_GEN_FN), expected: false },
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.call(DUMMY_GEN_FN), expected: false }
+    ],
+    spawn: [
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.spawn(DUMMY_GEN_FN), expected: true },
+      { args: [], effectToCheck: effects.spawn(DUMMY_GEN_FN, 1), expected: true },
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.spawn(DUMMY_FN), expected: false },
+      { args: [DUMMY_GEN_FN], effectToCheck: effects.fork(DUMMY_GEN_FN), expected: false }
+    ],
+    join: [
+      { args: [], effectToCheck: effects.join(DUMMY_TASK), expected: true },
+      { args: [DUMMY_TASK], effectToCheck: effects.join(DUMMY_TASK), expected: true },
+      { args: [createMockTask()], effectToCheck: effects.join(DUMMY_TASK), expected: false },
+      { args: [], effectToCheck: effects.cancel(DUMMY_TASK), expected: false }
+    ],
+    cancel: [
+      { args: [], effectToCheck: effects.cancel(DUMMY_TASK), expected: true },
+      { args: [DUMMY_TASK], effectToCheck: effects.cancel(DUMMY_TASK), expected: true },
+      { args: [createMockTask()], effectToCheck: effects.cancel(DUMMY_TASK), expected: false },
+      { args: [], effectToCheck: effects.join(DUMMY_TASK), expected: false }
+    ],
+    cancelled: [
+      { args: [], effectToCheck: effects.cancelled(), expected: true },
+      { args: [], effectToCheck: effects.cancel(DUMMY_TASK), expected: false }
+    ],
+    unstubbedCall: [
+      { args: [], effectToCheck: effects.call(DUMMY_FN), expected: true },
+      { args: [], effectToCheck: effects.cps(DUMMY_FN), expected: true },
+      { args: [], effectToCheck: effects.apply({}, DUMMY_FN), expected: true },
+      { args: [[DUMMY_FN]], effectToCheck: effects.call(DUMMY_FN), expected: false },
+      { args: [['DUMMY_FN']], effectToCheck: effects.call(DUMMY_FN), expected: false },
+      { args: [[() => {}]], effectToCheck: effects.call(DUMMY_FN), expected: true },
+      { args: [], effectToCheck: effects.call(DUMMY_GEN_FN), expected: false },
+      { args: [], effectToCheck: effects.take('test'), expected: false }
+    ],
     forkGeneratorFn: [
       { args: [], effectToCheck: effects.fork(DUMMY_GEN_FN), expected: true },
       { args: [], effectToCheck: effects.fork(DUMMY_FN), expected: false },
@@ -102,6 +198,21 @@ describe('unit tests', () => {
       { args: [], effectToCheck: effects.call(DUMMY_GEN_FN), expected: true },
       { args: [], effectToCheck: effects.call(DUMMY_FN), expected: false },
       { args: [], effectToCheck: effects.take('test'), expected: false }
+    ],
+    putActionMatching: [
+      { arg: { type: 'TEST' }, effectToCheck: effects.put({ type: 'TEST', data: 'x' }), expected: true },
+      { arg: { type: 'TEST', data: 'x' }, effectToCheck: effects.put({ type: 'TEST', data: 'x' }), expected: true },
+      { arg: { type: 'TEST', data: 'y' }, effectToCheck: effects.put({ type: 'TEST', data: 'x' }), expected: false },
+      { arg: { payload: { id: 1 } }, effectToCheck: effects.put({ type: 'TEST', payload: { id: 1, n: 2 } }), expected: true },
+      { arg: { type: /^TE/, data: 'x' }, effectToCheck: effects.put({ type: 'TEST', data: 'x', more: 1 }), expected: true },
+      { arg: { type: /^TE/, data: 'x' }, effectToCheck: effects.put({ type: 'OTHER', data: 'x' }), expected: false },
+      { arg: { type: /^TE/ }, effectToCheck: effects.take('TEST'), expected: false }
+    ],
+    delayCall: [
+      { args: [], effectToCheck: effects.call(delay, 1000), expected: true },
+      { args: [], effectToCheck: effects.call(DUMMY_FN, 1000), expected: false },
+      { args: [], effectToCheck: effects.fork(delay, 1000), expected: false },
+      { args: [], effectToCheck: effects.take('test'), expected: false }
     ]
   }
 
@@ -125,10 +236,23 @@ describe('unit tests', () => {
           const actual = !!match(effects.race({ first: test.effectToCheck, second: 'dummy'}))
           assert.equal(actual, false)
         })
+        it(`test ${idx + 1} with redux-saga 1.x effect`, () => {
+          const actual = !!matchers[matcherBuilderName](...args.map(toV1))(toV1(test.effectToCheck))
+          assert.equal(actual, test.expected)
+        })
       })
     }))
   })
 
+  describe('matchers.not()', () => {
+    it('should negate the matcher', () => {
+      const match = matchers.not(matchers.call(DUMMY_FN))
+      assert.isFalse(match(effects.call(DUMMY_FN)))
+      assert.isTrue(match(effects.take('test')))
+      assert.isTrue(match([ effects.call(DUMMY_FN) ]))
+    })
+  })
+
   describe('recursive(matcher)', () => {
     const recursive = mockSaga.__get__('recursive')
 
@@ -154,6 +278,12 @@ describe('unit tests', () => {
           const actual = !!match(nestedEffect)
           assert.equal(actual, test.expected)
         })
+        it(`test ${idx + 1} with redux-saga 1.x effect inside race inside all`, () => {
+          const v1Match = recursive(matchers[matcherBuilderName](...args.map(toV1)))
+          const nestedEffect = v1All({ a: {}, b: toV1(effects.race({ first: {}, second: test.effectToCheck })) })
+          const actual = !!v1Match(nestedEffect)
+          assert.equal(actual, test.expected)
+        })
       })
     }))
   })
@@ -182,6 +312,15 @@ describe('unit tests', () => {
       }, {
         effect: [OTHER, effects.race({a: OTHER, b: MATCH, c: OTHER}), OTHER],
         expected: [OTHER, effects.race({a: OTHER, b: REPLACED, c: OTHER}), OTHER]
+      }, {
+        effect: toV1(effects.race({a: OTHER, b: MATCH, c: OTHER})),
+        expected: toV1(effects.race({a: OTHER, b: REPLACED, c: OTHER}))
+      }, {
+        effect: v1All([OTHER, MATCH]),
+        expected: v1All([OTHER, REPLACED])
+      }, {
+        effect: v1All({a: MATCH, b: toV1(effects.race({a: OTHER, b: MATCH}))}),
+        expected: v1All({a: REPLACED, b: toV1(effects.race({a: OTHER, b: REPLACED}))})
       }
     ]
     testCases.forEach(({effect, expected}, idx) => {
@@ -274,5 +413,274 @@ describe('unit tests', () => {
       listeners[0].callback()
       listeners[0].callback()
     })
+    it('the returned promise should remove the listener', () => {
+      addListener(target, listeners, undefined, matcher, someArg).off()
+      assert.deepEqual(listeners, [])
+    })
+  })
+
+  describe('describeEffect()', () => {
+    const describeEffect = mockSaga.__get__('describeEffect')
+    const selector = function getValue () {}
+    const testCases = [
+      { effect: effects.put({ type: 'TEST' }), expected: 'put({"type":"TEST"})' },
+      { effect: effects.take('TEST'), expected: 'take("TEST")' },
+      { effect: effects.take([ 'A', 'B' ]), expected: 'take(["A","B"])' },
+      { effect: effects.call(DUMMY_FN, 1, 'a'), expected: 'call(DUMMY_FN, 1, "a")' },
+      { effect: effects.cps(DUMMY_FN), expected: 'cps(DUMMY_FN)' },
+      { effect: effects.fork(DUMMY_GEN_FN, 1), expected: 'fork(DUMMY_GEN_FN, 1)' },
+      { effect: effects.spawn(DUMMY_GEN_FN), expected: 'spawn(DUMMY_GEN_FN)' },
+      { effect: effects.select(selector, 2), expected: 'select(getValue, 2)' },
+      { effect: effects.race({ a: effects.take('A'), b: effects.call(DUMMY_FN) }), expected: 'race(a: take("A"), b: call(DUMMY_FN))' },
+      { effect: [ effects.take('A'), effects.put({ type: 'B' }) ], expected: '[take("A"), put({"type":"B"})]' },
+      { effect: v1All([ effects.take('A') ]), expected: 'all(take("A"))', isV1: true },
+      { effect: effects.join(DUMMY_TASK), expected: 'join(task)' },
+      { effect: effects.cancel(DUMMY_TASK), expected: 'cancel(task)' },
+      { effect: effects.cancelled(), expected: 'cancelled()' },
+      { effect: 'dummy', expected: '"dummy"' }
+    ]
+    testCases.forEach(({effect, expected, isV1}, idx) => {
+      it(`test ${idx + 1}`, () => {
+        assert.equal(describeEffect(effect), expected)
+      })
+      if (isV1) return
+      it(`test ${idx + 1} with redux-saga 1.x effect`, () => {
+        assert.equal(describeEffect(toV1(effect)), expected)
+      })
+    })
+  })
+
+  describe('formatEntries()', () => {
+    const formatEntries = mockSaga.__get__('formatEntries')
+    const root = { id: 0, name: 'root', depth: 0 }
+    const child = { id: 1, name: 'child', depth: 1, parentId: 0 }
+    const entry = (effect, fields) => _.assign({ effect, status: 'resolved', stubbed: false, origin: root }, fields)
+
+    it('should describe an empty log', () => {
+      assert.equal(formatEntries([], []), 'no effects')
+    })
+    it('should describe the outcome of the effects', () => {
+      const entries = [
+        entry(effects.call(DUMMY_FN, 1), { result: { a: 1 }, stubbed: true }),
+        entry(effects.take('A'), { status: 'rejected', error: new Error('failed') }),
+        entry(effects.take('B'), { status: 'pending' }),
+        entry(effects.take('C'), { status: 'cancelled' }),
+        entry(effects.fork(DUMMY_GEN_FN), { result: DUMMY_TASK })
+      ]
+      assert.equal(formatEntries(entries, [ 0, 1, 2, 3, 4 ]), [
+        '1. call(DUMMY_FN, 1) -> {"a":1} [stub]',
+        '2. take("A") !! failed [real]',
+        '3. take("B") (pending) [real]',
+        '4. take("C") (cancelled) [real]',
+        '5. fork(DUMMY_GEN_FN) -> task [real]'
+      ].join('\n'))
+    })
+    it('should truncate the long results', () => {
+      const line = formatEntries([ entry(effects.call(DUMMY_FN), { result: _.repeat('a', 100) }) ], [ 0 ])
+      assert.equal(line, `1. call(DUMMY_FN) -> "${_.repeat('a', 56)}... [real]`)
+    })
+    it('should indent the effects of the sub-sagas and the nested effects', () => {
+      const race = effects.race({ a: effects.take('A'), b: [ effects.take('B'), effects.call(DUMMY_FN) ] })
+      const entries = [
+        entry(race, { status: 'pending', origin: child }),
+        entry(effects.take('D'), { status: 'pending' })
+      ]
+      assert.equal(formatEntries(entries, [ 8, 9 ]), [
+        ' 9.   child: race (pending) [real]',
+        '               a: take("A")',
+        '               b: parallel',
+        '                 take("B")',
+        '                 call(DUMMY_FN)',
+        '10. take("D") (pending) [real]'
+      ].join('\n'))
+    })
+  })
+
+  describe('serializeValue()', () => {
+    const serializeValue = mockSaga.__get__('serializeValue')
+    it('should replace the circular references', () => {
+      const circular = { list: [] }
+      circular.list.push(circular, circular.list)
+      assert.deepEqual(serializeValue(circular), { list: [ '<circular>', '<circular>' ] })
+    })
+    it('should copy the shared references', () => {
+      const shared = { a: 1 }
+      assert.deepEqual(serializeValue([ shared, { b: shared } ]), [ { a: 1 }, { b: { a: 1 } } ])
+    })
+  })
+
+  describe('serializeEffect()', () => {
+    const serializeEffect = mockSaga.__get__('serializeEffect')
+    const selector = function getValue () {}
+    const testCases = [
+      { effect: effects.put({ type: 'TEST', fn: DUMMY_FN }), expected: { type: 'PUT', action: { type: 'TEST', fn: 'DUMMY_FN' } } },
+      { effect: effects.put(channel(), { type: 'TEST' }), expected: { type: 'PUT', action: { type: 'TEST' }, channel: '<channel>' } },
+      { effect: effects.take([ 'A', ACTION_CREATOR ]), expected: { type: 'TAKE', pattern: [ 'A', 'TEST' ] } },
+      { effect: effects.take(channel()), expected: { type: 'TAKE', channel: '<channel>' } },
+      { effect: effects.call(DUMMY_FN, 1, DUMMY_TASK), expected: { type: 'CALL', fn: 'DUMMY_FN', args: [ 1, '<task>' ] } },
+      { effect: effects.cps(() => {}), expected: { type: 'CPS', fn: 'anonymous function', args: [] } },
+      { effect: effects.fork(DUMMY_GEN_FN), expected: { type: 'FORK', fn: 'DUMMY_GEN_FN', args: [] } },
+      { effect: effects.spawn(DUMMY_GEN_FN), expected: { type: 'FORK', fn: 'DUMMY_GEN_FN', args: [], detached: true } },
+      { effect: effects.select(selector, 2), expected: { type: 'SELECT', selector: '<selector>', args: [ 2 ] } },
+      {
+        effect: effects.race({ a: effects.take('A'), b: effects.call(DUMMY_FN) }),
+        expected: { type: 'RACE', effects: { a: { type: 'TAKE', pattern: 'A' }, b: { type: 'CALL', fn: 'DUMMY_FN', args: [] } } }
+      },
+      { effect: [ effects.take('A') ], expected: [ { type: 'TAKE', pattern: 'A' } ] },
+      { effect: v1All([ effects.take('A') ]), expected: { type: 'ALL', effects: [ { type: 'TAKE', pattern: 'A' } ] }, isV1: true },
+      { effect: effects.join(DUMMY_TASK), expected: { type: 'JOIN', task: '<task>' } },
+      { effect: effects.cancelled(), expected: { type: 'CANCELLED' } },
+      { effect: new Error('test'), expected: { error: 'test' } }
+    ]
+    testCases.forEach(({effect, expected, isV1}, idx) => {
+      it(`test ${idx + 1}`, () => {
+        assert.deepEqual(serializeEffect(effect), expected)
+      })
+      if (isV1) return
+      it(`test ${idx + 1} with redux-saga 1.x effect`, () => {
+        assert.deepEqual(serializeEffect(toV1(effect)), expected)
+      })
+    })
+  })
+
+  describe('diffLines()', () => {
+    const diffLines = mockSaga.__get__('diffLines')
+    it('should return no hunks for equal lines', () => {
+      assert.deepEqual(diffLines([ 'a', 'b' ], [ 'a', 'b' ]), [])
+    })
+    it('should group the different lines', () => {
+      assert.deepEqual(diffLines([ 'a', 'b', 'c', 'd', 'e' ], [ 'a', 'x', 'c', 'e', 'f' ]), [
+        { line: 1, removed: [ 'b' ], added: [ 'x' ] },
+        { line: 3, removed: [ 'd' ], added: [] },
+        { line: 5, removed: [], added: [ 'f' ] }
+      ])
+    })
+    it('should detect the moved lines', () => {
+      assert.deepEqual(diffLines([ 'a', 'b', 'c' ], [ 'b', 'c', 'a' ]), [
+        { line: 0, removed: [ 'a' ], added: [] },
+        { line: 3, removed: [], added: [ 'a' ] }
+      ])
+    })
+  })
+
+  describe('limitListener()', () => {
+    const limitListener = mockSaga.__get__('limitListener')
+    it('should remove the listener after the given calls', () => {
+      const calls = []
+      const listener = { match: DUMMY_FN, callback: (arg) => calls.push(arg) }
+      const listeners = [ listener ]
+      limitListener(listeners, listener, 2)
+      listener.callback(1)
+      assert.deepEqual(listeners, [ listener ])
+      listener.callback(2)
+      assert.deepEqual(listeners, [])
+      assert.deepEqual(calls, [ 1, 2 ])
+    })
+  })
+
+  describe('createCallStub()', () => {
+    const createCallStub = mockSaga.__get__('createCallStub')
+    const error = new Error('test')
+
+    it('should return undefined by default', () => {
+      assert.isUndefined(createCallStub()())
+    })
+    it('should use the once behaviours in order and then the default one', () => {
+      const stub = createCallStub().returnsOnce(1).throwsOnce(error).returnsOnce(2).returns(3)
+      assert.equal(stub(), 1)
+      assert.throws(() => stub(), error)
+      assert.equal(stub(), 2)
+      assert.equal(stub(), 3)
+      assert.equal(stub(), 3)
+    })
+    it('should throw by default', () => {
+      const stub = createCallStub().throws(error)
+      assert.throws(() => stub(), error)
+      assert.throws(() => stub(), error)
+    })
+    it('should call the fake functions with the arguments', () => {
+      const stub = createCallStub().callsFakeOnce((a, b) => a + b).callsFake((a, b) => a * b)
+      assert.equal(stub(2, 3), 5)
+      assert.equal(stub(2, 3), 6)
+    })
+    it('should count the invocations', () => {
+      const stub = createCallStub()
+      stub(1)
+      stub(2, 3)
+      assert.equal(stub.callCount, 2)
+      assert.deepEqual(stub.calls, [ [ 1 ], [ 2, 3 ] ])
+    })
+  })
+
+  describe('createExpectation()', () => {
+    const createExpectation = mockSaga.__get__('createExpectation')
+    const testCases = [
+      { build: e => e, count: 1, expected: true },
+      { build: e => e, count: 0, expected: false },
+      { build: e => e.times(2), count: 2, expected: true },
+      { build: e => e.times(2), count: 3, expected: false },
+      { build: e => e.atLeast(2), count: 3, expected: true },
+      { build: e => e.atLeast(2), count: 1, expected: false },
+      { build: e => e.atMost(2), count: 2, expected: true },
+      { build: e => e.atMost(2), count: 3, expected: false },
+      { build: e => e.never(), count: 0, expected: true },
+      { build: e => e.never(), count: 1, expected: false }
+    ]
+    testCases.forEach(({build, count, expected}, idx) => {
+      it(`test ${idx + 1}`, () => {
+        const expectation = build(createExpectation(DUMMY_FN, 'expectCall(fn)'))
+        assert.equal(expectation.check(count) === undefined, expected)
+      })
+    })
+    it('should describe the failure', () => {
+      const expectation = createExpectation(DUMMY_FN, 'expectCall(fn)').times(2)
+      assert.equal(expectation.check(1), 'expectCall(fn) expected 2 times, found 1')
+    })
+  })
+
+  describe('matchWith()', () => {
+    const matchWith = mockSaga.__get__('matchWith')
+    const testCases = [
+      { actual: [ 'a', 1 ], expected: [ any(String), any(Number) ], result: true },
+      { actual: [ new String('a') ], expected: [ any(String) ], result: true },
+      { actual: [ 1 ], expected: [ any(String) ], result: false },
+      { actual: [ new Date() ], expected: [ any(Date) ], result: true },
+      { actual: [ {} ], expected: [ any(Date) ], result: false },
+      { actual: [ DUMMY_FN ], expected: [ any(Function) ], result: true },
+      { actual: [ 0 ], expected: [ anything() ], result: true },
+      { actual: [ null ], expected: [ anything() ], result: false },
+      { actual: [ undefined ], expected: [ anything() ], result: false },
+      { actual: [ { id: 1, ts: 5 } ], expected: [ objectContaining({ id: 1 }) ], result: true },
+      { actual: [ { id: 1, ts: 5 } ], expected: [ objectContaining({ id: 2 }) ], result: false },
+      { actual: [ { id: 1, ts: 5 } ], expected: [ objectContaining({ ts: any(Number) }) ], result: true },
+      { actual: [ 'a' ], expected: [ objectContaining({}) ], result: false },
+      { actual: { type: 'a', payload: { id: 'x' } }, expected: { type: 'a', payload: { id: any(String) } }, result: true },
+      { actual: { type: 'a', payload: { id: 'x' } }, expected: { type: 'a', payload: {} }, result: false }
+    ]
+    testCases.forEach(({actual, expected, result}, idx) => {
+      it(`test ${idx + 1}`, () => {
+        assert.equal(matchWith(_.isEqualWith, actual, expected), result)
+      })
+    })
+    it('should ignore the missing arguments of a partial comparison', () => {
+      assert.isTrue(matchWith(_.isMatchWith, [ 1, 'a', {} ], [ any(Number) ]))
+    })
+    it('should capture the values only when the comparison succeeds', () => {
+      const c = captor()
+      assert.isFalse(matchWith(_.isEqualWith, [ 1, 2 ], [ c, 3 ]))
+      assert.deepEqual(c.values, [])
+      const args = [ 1, 3 ]
+      assert.isTrue(matchWith(_.isEqualWith, args, [ c, 3 ]))
+      assert.isTrue(matchWith(_.isEqualWith, args, [ c, 3 ]))
+      assert.isTrue(matchWith(_.isEqualWith, [ 2, 3 ], [ c, 3 ]))
+      assert.deepEqual(c.values, [ 1, 2 ])
+      assert.equal(c.value, 2)
+    })
+    it('should capture only the values matched by the matcher of the captor', () => {
+      const c = captor(any(String))
+      assert.isFalse(matchWith(_.isEqualWith, [ 1 ], [ c ]))
+      assert.isTrue(matchWith(_.isEqualWith, [ 'a' ], [ c ]))
+      assert.deepEqual(c.values, [ 'a' ])
+    })
   })
 })